@@ -14,6 +14,97 @@ return [
 
     'sound_effects' => true,
 
+    /*
+    |--------------------------------------------------------------------------
+    | Transport
+    |--------------------------------------------------------------------------
+    |
+    | How windows editing the same entry talk to each other. "echo" uses the
+    | broadcasting server configured for Statamic. "broadcast-channel" needs
+    | no server, but only connects the windows of a single browser, which is
+    | handy for local development and staging environments. "memory" only
+    | connects the publish forms of a single page, to exercise the collaboration
+    | logic without any server (e.g. in tests).
+    |
+    */
+
+    'transport' => env('COLLABORATION_TRANSPORT', 'echo'),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Shared Worker
+    |--------------------------------------------------------------------------
+    |
+    | When enabled, the tabs of a browser share a single Echo connection held
+    | by a SharedWorker, instead of each tab opening its own. This requires a
+    | Pusher compatible broadcaster (Pusher or Reverb). Browsers that don't
+    | support SharedWorkers keep a connection per tab.
+    |
+    */
+
+    'shared_worker' => env('COLLABORATION_SHARED_WORKER', false),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Co-Editing
+    |--------------------------------------------------------------------------
+    |
+    | When enabled, fields using the listed fieldtypes can be edited by several
+    | users at the same time. Their changes are merged character by character
+    | instead of the field being locked. All other fieldtypes remain locked.
+    |
+    */
+
+    'co_editing' => [
+        'enabled' => env('COLLABORATION_CO_EDITING', false),
+        'fieldtypes' => ['text', 'textarea', 'markdown'],
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Timings
+    |--------------------------------------------------------------------------
+    |
+    | How often changes are persisted, how long fields stay locked, when users
+    | are considered inactive and how long edit requests wait for an answer,
+    | in milliseconds. The chunk size is the length (in characters of JSON)
+    | from which whispers are sent in parts.
+    |
+    */
+
+    'defaults' => [
+        'sync_interval' => 3000,
+        'field_unlock_delay' => 3000,
+        'field_inactivity_timeout' => 30000,
+        'inactivity_timeout' => 12 * 60 * 60 * 1000,
+        'api_timeout' => 4000,
+        'warm_up_duration' => 5000,
+        'edit_request_timeout' => 15000,
+        'chunk_size' => 2500,
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Collections
+    |--------------------------------------------------------------------------
+    |
+    | Override the timings above for the entries of a collection, and for a
+    | blueprint within it. Set "enabled" to false to switch collaboration off
+    | for a collection or blueprint altogether.
+    |
+    */
+
+    'collections' => [
+        // 'breaking_news' => [
+        //     'field_unlock_delay' => 1000,
+        //     'field_inactivity_timeout' => 10000,
+        //     'blueprints' => [
+        //         'live_blog' => ['sync_interval' => 1000],
+        //     ],
+        // ],
+        // 'guides' => ['enabled' => false],
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Debug Mode
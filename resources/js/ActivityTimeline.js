@@ -0,0 +1,135 @@
+/**
+ * ActivityTimeline Class
+ *
+ * Keeps a feed of what happened while the entry was being edited, shown in the
+ * publish sidebar (see ActivityFeed.vue):
+ *
+ * - Joins, leaves, focus sessions and publishes are taken from the channel events
+ *   and whispers the workspace receives anyway
+ * - Field changes, saves and force unlocks are recorded by the server, attributed to
+ *   the user and window, and come along with state API responses, so windows that
+ *   join later see them too
+ * - Events are kept in the workspace's store module, merged by id, so an event seen
+ *   both live and from the server shows once
+ */
+export default class ActivityTimeline {
+
+    /**
+     * @param {Workspace} workspace - The workspace the timeline belongs to
+     */
+    constructor(workspace) {
+        this.workspace = workspace;
+
+        // Open focus sessions keyed by user id: { id, handle, windowId }
+        this.sessions = {};
+
+        this.component = null;
+    }
+
+    /**
+     * Record an event seen by this window.
+     * @param {string} type - joined, left, focused, saved, published, ...
+     * @param {Object} attributes - user, window, handle, ... (an id to match the server's copy)
+     * @returns {string} The id of the event
+     */
+    record(type, attributes = {}) {
+        const event = {
+            id: Math.random().toString(36).slice(2),
+            type,
+            at: Math.floor(Date.now() / 1000),
+            ...attributes,
+            user: this.summarize(attributes.user),
+        };
+
+        this.commit('addActivity', event);
+
+        return event.id;
+    }
+
+    /**
+     * Merge the events recorded by the server.
+     * @param {Object[]} events
+     */
+    merge(events) {
+        (events || []).forEach(event => this.commit('addActivity', event));
+    }
+
+    /**
+     * Start a focus session, ending the user's previous one.
+     * @param {Object} user
+     * @param {string} handle - The focused field
+     * @param {string} windowId - The window the user is editing in
+     */
+    focused(user, handle, windowId) {
+        const session = this.sessions[user.id];
+        if (session && session.handle === handle && session.windowId === windowId) return;
+
+        this.blurred(user);
+
+        const id = this.record('focused', { user, window: windowId, handle, until: null });
+        this.sessions[user.id] = { id, handle, windowId };
+    }
+
+    /**
+     * End the user's focus session.
+     * @param {Object} user
+     */
+    blurred(user) {
+        const session = this.sessions[user.id];
+        if (!session) return;
+
+        delete this.sessions[user.id];
+        this.commit('endActivity', { id: session.id, until: Math.floor(Date.now() / 1000) });
+    }
+
+    /**
+     * Show the feed at the end of the publish sidebar, or above the form when there's none.
+     */
+    mount() {
+        if (this.component) return;
+
+        const props = { channelName: this.workspace.channelName, windowId: this.workspace.windowId };
+        const sidebar = this.workspace.container.$el?.querySelector('.publish-sidebar');
+
+        if (!sidebar) {
+            this.component = this.workspace.container.pushComponent('CollaborationActivityFeed', { props });
+            return;
+        }
+
+        const ActivityFeed = Vue.component('CollaborationActivityFeed');
+        const feed = new ActivityFeed({ store: Statamic.$store, propsData: props }).$mount();
+        sidebar.appendChild(feed.$el);
+
+        this.component = {
+            destroy: () => {
+                feed.$destroy();
+                feed.$el.remove();
+            },
+        };
+    }
+
+    /**
+     * Remove the feed.
+     */
+    destroy() {
+        this.component?.destroy();
+        this.component = null;
+    }
+
+    /**
+     * Keep only what the feed shows of a user.
+     * @param {Object|null} user
+     * @returns {Object|null}
+     */
+    summarize(user) {
+        return user ? { id: user.id, name: user.name } : null;
+    }
+
+    /**
+     * @param {string} mutation
+     * @param {*} payload
+     */
+    commit(mutation, payload) {
+        Statamic.$store.commit(`collaboration/${this.workspace.channelName}/${mutation}`, payload);
+    }
+}
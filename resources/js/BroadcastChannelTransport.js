@@ -0,0 +1,25 @@
+import LocalTransport from './LocalTransport';
+
+/**
+ * BroadcastChannelTransport Class
+ *
+ * Connects the windows of one browser through BroadcastChannels, without a
+ * broadcasting server. Multi-window sync and locking keep working for a single user
+ * (e.g. in local development or on staging), but nobody else can join.
+ */
+export default class BroadcastChannelTransport extends LocalTransport {
+
+    /**
+     * @param {string} name - The channel name
+     * @returns {Object} The message bus
+     */
+    createBus(name) {
+        const channel = new BroadcastChannel(`collaboration-transport-${name}`);
+
+        return {
+            post: message => channel.postMessage(message),
+            onMessage: callback => channel.onmessage = event => callback(event.data),
+            close: () => channel.close(),
+        };
+    }
+}
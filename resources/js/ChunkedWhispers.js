@@ -0,0 +1,414 @@
+/**
+ * ChunkedWhispers Class
+ *
+ * Whispers are limited in size, so large payloads are sliced into chunks and
+ * reassembled by the receivers. Chunks can be dropped, duplicated or arrive out
+ * of order, so delivery is made reliable:
+ *
+ * - Every chunked message gets a sequence number per sending window, and every
+ *   chunk carries its index and the total, so chunk sets are reassembled by
+ *   sender and sequence regardless of order, and duplicates are ignored
+ * - A receiver missing chunks after a timeout sends a NACK listing them, and the
+ *   sender (which keeps recent messages for a while) resends only those
+ * - Incomplete chunk sets are discarded after a few unanswered NACKs
+ * - Messages targeted at one window are acknowledged, so the sender can drop them
+ *   right away; broadcast messages expire from the sender's buffer instead
+ *
+ * Large payloads are deflated (and base64 encoded) before chunking, which cuts the
+ * number of whispers sent considerably. Windows announce whether they can inflate
+ * messages when joining, and payloads are only compressed when every receiver can.
+ */
+export default class ChunkedWhispers {
+
+    /**
+     * @param {Workspace} workspace - The workspace whose channel is used
+     */
+    constructor(workspace) {
+        this.workspace = workspace;
+
+        // Payloads of this many characters (JSON) or more are chunked
+        this.chunkSize = workspace.profile.chunk_size;
+
+        // Sequence number of the last chunked message we sent
+        this.seq = 0;
+
+        // Sent messages kept for retransmission, keyed by sequence number: { event, chunks, to, timer }
+        this.outgoing = {};
+        this.retentionMs = 30000;
+
+        // Chunk sets being received, keyed by "windowId:seq": { chunks, total, received, nacks, timer }
+        this.incoming = {};
+        this.chunkTimeoutMs = 3000;
+        this.maxNacks = 3;
+
+        // Recently completed messages ("windowId:seq" => completed at), to ignore late duplicates
+        this.completed = new Map();
+
+        // Payloads of this many characters (JSON) or more are compressed, when all receivers support it
+        this.compressionThreshold = 1024;
+
+        // Windows that announced they can inflate compressed messages
+        this.compressingWindows = new Set();
+
+        // Compression is async: while a message is being compressed (or inflated), later
+        // messages queue up behind it, so they're sent (or delivered) in order
+        this.queue = null;
+        this.deliveries = null;
+
+        this.listening = false;
+    }
+
+    /**
+     * Check if this browser can compress and inflate messages.
+     * @returns {boolean}
+     */
+    static get compressionSupported() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * Record whether a window can inflate compressed messages, as announced when it joined.
+     * @param {string} windowId
+     * @param {boolean} supported
+     */
+    setCompression(windowId, supported) {
+        if (supported) {
+            this.compressingWindows.add(windowId);
+        } else {
+            this.compressingWindows.delete(windowId);
+        }
+    }
+
+    /**
+     * Forget the capabilities of a window that left.
+     * @param {string} windowId
+     */
+    forgetWindow(windowId) {
+        this.compressingWindows.delete(windowId);
+    }
+
+    /**
+     * Check if a message may be compressed: all its receivers must have announced support.
+     * While we don't know about any other window yet, messages are sent as plain JSON.
+     * @param {string|null} to - The window id the message is meant for, or null for all windows
+     * @returns {boolean}
+     */
+    canCompress(to) {
+        if (!ChunkedWhispers.compressionSupported) return false;
+
+        const receivers = to ? [to] : [...this.workspace.activeWindows].filter(id => id !== this.workspace.windowId);
+
+        return receivers.length > 0 && receivers.every(id => this.compressingWindows.has(id));
+    }
+
+    /**
+     * Listen for acknowledgements and retransmission requests of our own messages.
+     * Called once the channel is joined.
+     */
+    listen() {
+        if (this.listening) return;
+        this.listening = true;
+
+        const channel = this.workspace.channel;
+
+        channel.listenForWhisper('chunk-nack', ({ to, seq, missing }) => {
+            if (to !== this.workspace.windowId) return;
+            this.resend(seq, missing);
+        });
+
+        channel.listenForWhisper('chunk-ack', ({ to, seq }) => {
+            if (to !== this.workspace.windowId) return;
+
+            const message = this.outgoing[seq];
+            if (!message || !message.to) return;
+
+            this.workspace.debug(`Chunked message ${seq} acknowledged`);
+            this.forget(seq);
+        });
+    }
+
+    /**
+     * Send a payload, compressing and chunking it when it's large.
+     * @param {string} event - The event name
+     * @param {Object} payload - The data to send
+     * @param {Object} options - Options (to: the window id the message is meant for)
+     */
+    send(event, payload, { to = null } = {}) {
+        const str = JSON.stringify(payload);
+        const compress = str.length >= this.compressionThreshold && this.canCompress(to);
+
+        if (!compress && !this.queue) {
+            this.transmit(event, payload, str, { to });
+            return;
+        }
+
+        // Keep the order messages were sent in, even though compressing takes a moment
+        const queue = (this.queue || Promise.resolve())
+            .then(() => compress ? this.compress(str).catch(() => null) : null)
+            .then(compressed => {
+                // Fall back to plain JSON when compression failed or didn't help
+                if (compressed && compressed.length < str.length) {
+                    this.workspace.debug(`Compressed "${event}" from ${str.length} to ${compressed.length} characters`);
+                    this.transmit(event, { __compressed: compressed }, compressed, { to, encoding: 'deflate' });
+                } else {
+                    this.transmit(event, payload, str, { to });
+                }
+            });
+
+        this.queue = queue;
+        queue.finally(() => {
+            if (this.queue === queue) this.queue = null;
+        });
+    }
+
+    /**
+     * Whisper a (possibly compressed) payload, chunking it when it's too large for a single whisper.
+     * @param {string} event - The event name
+     * @param {Object} payload - The data to send as a single whisper
+     * @param {string} str - The string to chunk: the payload's JSON, or the compressed payload
+     * @param {Object} options - Options (to: the window id the message is meant for, encoding: 'deflate' when compressed)
+     */
+    transmit(event, payload, str, { to = null, encoding = null } = {}) {
+        // Small messages go directly
+        if (str.length < this.chunkSize) {
+            this.workspace.debug(`Broadcasting "${event}"`, payload);
+            this.workspace.channel.whisper(event, payload);
+            return;
+        }
+
+        const seq = ++this.seq;
+        const total = Math.ceil(str.length / this.chunkSize);
+        const chunks = [];
+
+        for (let index = 0; index < total; index++) {
+            chunks.push({
+                from: this.workspace.windowId,
+                to,
+                seq,
+                index,
+                total,
+                encoding,
+                chunk: str.slice(index * this.chunkSize, (index + 1) * this.chunkSize),
+            });
+        }
+
+        // Keep the message around so missing chunks can be resent
+        this.outgoing[seq] = {
+            event: `chunked-${event}`,
+            chunks,
+            to,
+            timer: setTimeout(() => this.forget(seq), this.retentionMs),
+        };
+
+        chunks.forEach(chunk => {
+            this.workspace.debug(`Broadcasting "chunked-${event}" chunk ${chunk.index + 1}/${total} (seq ${seq})`);
+            this.workspace.channel.whisper(`chunked-${event}`, chunk);
+        });
+    }
+
+    /**
+     * Resend chunks a receiver reported missing.
+     * @param {number} seq - The sequence number of the message
+     * @param {number[]} missing - The indexes of the missing chunks
+     */
+    resend(seq, missing) {
+        const message = this.outgoing[seq];
+        if (!message) {
+            this.workspace.debug(`Can't resend chunked message ${seq}, no longer buffered`);
+            return;
+        }
+
+        this.workspace.debug(`Resending ${missing.length} chunk(s) of message ${seq}`, { missing });
+        missing.forEach(index => {
+            if (message.chunks[index]) this.workspace.channel.whisper(message.event, message.chunks[index]);
+        });
+    }
+
+    /**
+     * Drop a sent message from the retransmission buffer.
+     * @param {number} seq
+     */
+    forget(seq) {
+        if (!this.outgoing[seq]) return;
+        clearTimeout(this.outgoing[seq].timer);
+        delete this.outgoing[seq];
+    }
+
+    /**
+     * Listen for an event, reassembling chunked messages.
+     * @param {string} event - The event name
+     * @param {Function} callback - Handler for complete messages
+     */
+    listenFor(event, callback) {
+        // Listen for direct messages, which may be compressed too
+        this.workspace.channel.listenForWhisper(event, data => {
+            if (data && data.__compressed !== undefined) {
+                this.deliver(data.__compressed, 'deflate', callback);
+            } else {
+                this.deliver(data, null, callback);
+            }
+        });
+
+        // Listen for chunked messages and reassemble
+        this.workspace.channel.listenForWhisper(`chunked-${event}`, data => this.receive(data, callback));
+    }
+
+    /**
+     * Handle an incoming chunk.
+     * @param {Object} data - The chunk
+     * @param {Function} callback - Handler for the complete message
+     */
+    receive(data, callback) {
+        const { from, to, seq, index, total, encoding = null, chunk } = data;
+
+        if (from === this.workspace.windowId) return;
+        if (to && to !== this.workspace.windowId) return;
+
+        const key = `${from}:${seq}`;
+
+        // Duplicate delivery of a message we already have
+        if (this.completed.has(key)) return;
+
+        if (!this.incoming[key]) {
+            this.incoming[key] = { chunks: new Array(total), total, encoding, received: 0, nacks: 0, timer: null };
+        }
+
+        const message = this.incoming[key];
+
+        // Duplicate delivery of a chunk we already have
+        if (message.chunks[index] !== undefined) return;
+
+        message.chunks[index] = chunk;
+        message.received++;
+
+        if (message.received < message.total) {
+            this.scheduleNack(key, from, seq);
+            return;
+        }
+
+        clearTimeout(message.timer);
+        delete this.incoming[key];
+        this.markCompleted(key);
+
+        if (to) {
+            this.workspace.channel.whisper('chunk-ack', { from: this.workspace.windowId, to: from, seq });
+        }
+
+        this.deliver(message.chunks.join(''), message.encoding, callback);
+    }
+
+    /**
+     * Decode a complete message and pass it on.
+     * @param {string|Object} data - The payload (or its JSON), or the compressed payload
+     * @param {string|null} encoding - 'deflate' when compressed
+     * @param {Function} callback - Handler for the message
+     */
+    deliver(data, encoding, callback) {
+        const decode = () => typeof data === 'string' ? JSON.parse(data) : data;
+
+        if (!encoding && !this.deliveries) {
+            callback(decode());
+            return;
+        }
+
+        const deliveries = (this.deliveries || Promise.resolve())
+            .then(() => encoding ? this.decompress(data).then(json => JSON.parse(json)) : decode())
+            .then(payload => callback(payload))
+            .catch(error => this.workspace.debug('Failed to deliver message', { error }));
+
+        this.deliveries = deliveries;
+        deliveries.finally(() => {
+            if (this.deliveries === deliveries) this.deliveries = null;
+        });
+    }
+
+    /**
+     * Deflate a string and base64 encode it.
+     * @param {string} str
+     * @returns {Promise<string>}
+     */
+    async compress(str) {
+        const stream = new Blob([str]).stream().pipeThrough(new CompressionStream('deflate'));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        // Convert in slices, spreading a large array into fromCharCode would overflow the stack
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+
+        return btoa(binary);
+    }
+
+    /**
+     * Decode and inflate a string compressed by compress().
+     * @param {string} str
+     * @returns {Promise<string>}
+     */
+    async decompress(str) {
+        const bytes = Uint8Array.from(atob(str), char => char.charCodeAt(0));
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+
+        return new Response(stream).text();
+    }
+
+    /**
+     * (Re)start the timer that asks for missing chunks when no more arrive.
+     * After too many unanswered requests the incomplete message is discarded.
+     * @param {string} key - The incoming message key
+     * @param {string} from - The sending window id
+     * @param {number} seq - The sequence number of the message
+     */
+    scheduleNack(key, from, seq) {
+        const message = this.incoming[key];
+        if (!message) return;
+        clearTimeout(message.timer);
+
+        message.timer = setTimeout(() => {
+            if (message.nacks >= this.maxNacks) {
+                this.workspace.debug(`Discarding incomplete chunked message ${key}`, {
+                    received: message.received,
+                    total: message.total,
+                });
+                delete this.incoming[key];
+                return;
+            }
+
+            const missing = [];
+            for (let i = 0; i < message.total; i++) {
+                if (message.chunks[i] === undefined) missing.push(i);
+            }
+
+            // Keep waiting for the resent chunks (before asking, the answer may arrive right away)
+            message.nacks++;
+            this.scheduleNack(key, from, seq);
+
+            this.workspace.debug(`Requesting ${missing.length} missing chunk(s) of ${key}`, { missing });
+            this.workspace.channel.whisper('chunk-nack', { from: this.workspace.windowId, to: from, seq, missing });
+        }, this.chunkTimeoutMs);
+    }
+
+    /**
+     * Remember a completed message, forgetting ones old enough not to be resent anymore.
+     * @param {string} key
+     */
+    markCompleted(key) {
+        const now = Date.now();
+        this.completed.set(key, now);
+
+        this.completed.forEach((completedAt, completedKey) => {
+            if (now - completedAt > this.retentionMs) this.completed.delete(completedKey);
+        });
+    }
+
+    /**
+     * Clear all timers and buffers.
+     */
+    destroy() {
+        Object.keys(this.outgoing).forEach(seq => this.forget(seq));
+        Object.values(this.incoming).forEach(message => clearTimeout(message.timer));
+        this.incoming = {};
+        this.completed.clear();
+        this.compressingWindows.clear();
+    }
+}
@@ -0,0 +1,331 @@
+import TextDocument from './TextDocument';
+
+/**
+ * CoEditing Class
+ *
+ * Lets several users type in the same text-like field at once, instead of locking it.
+ * Each co-edited field is backed by a TextDocument; local edits are turned into
+ * character operations and whispered over the entry's presence channel, and
+ * remote operations are merged into the document and written back to the store.
+ *
+ * - Only fieldtypes listed in collaboration.co_editing.fieldtypes are co-edited,
+ *   every other field keeps using locks
+ * - Operations are batched for a short time to stay under client event rate limits
+ * - Windows that receive operations they can't place request a snapshot of the
+ *   document from the sender
+ */
+export default class CoEditing {
+
+    /**
+     * @param {Workspace} workspace - The workspace this co-editing session belongs to
+     */
+    constructor(workspace) {
+        this.workspace = workspace;
+
+        // TextDocument per co-edited field handle
+        this.documents = {};
+
+        // Local operations waiting to be sent, per handle
+        this.outbox = {};
+        this.flushDelay = 100;
+        this.flushTimer = null;
+
+        // Our own recent operations per handle, re-applied after loading a snapshot
+        this.history = {};
+        this.historyLimit = 1000;
+
+        // Remote operations that referenced unknown characters, per handle
+        this.pending = {};
+        this.snapshotRequestDelay = 1000;
+        this.snapshotRequestTimers = {};
+
+        // Text merged from a focused input before its debounced store update arrived
+        this.ingestedText = {};
+    }
+
+    /**
+     * Whether co-editing is enabled in the addon config.
+     * @returns {boolean}
+     */
+    get enabled() {
+        return !!Statamic.$config.get('collaboration.co_editing.enabled');
+    }
+
+    /**
+     * Check if a field is co-edited rather than locked.
+     * @param {string} handle - The field handle
+     * @returns {boolean}
+     */
+    supports(handle) {
+        if (!this.enabled || !this.workspace.isCollaborative(handle)) return false;
+
+        const fieldtypes = Statamic.$config.get('collaboration.co_editing.fieldtypes') || [];
+        return fieldtypes.includes(this.workspace.fieldtypeOf(handle));
+    }
+
+    /**
+     * Check if a field currently has a live co-editing document.
+     * Cached state is not applied to these fields, since the document is more recent.
+     * @param {string} handle - The field handle
+     * @returns {boolean}
+     */
+    hasDocument(handle) {
+        return !!this.documents[handle];
+    }
+
+    /**
+     * Get the document for a field, seeding it from the given text if it doesn't exist yet.
+     * @param {string} handle - The field handle
+     * @param {string} text - The text to seed a new document with
+     * @returns {TextDocument}
+     */
+    document(handle, text) {
+        if (!this.documents[handle]) {
+            this.documents[handle] = new TextDocument(this.workspace.windowId, text || '');
+        }
+        return this.documents[handle];
+    }
+
+    /**
+     * Register whisper listeners for co-editing operations and snapshots.
+     */
+    listen() {
+        this.workspace.listenForWhisper('text-ops', payload => this.receiveOps(payload));
+        this.workspace.listenForWhisper('text-sync-request', payload => this.receiveSnapshotRequest(payload));
+        this.workspace.listenForWhisper('text-sync', payload => this.receiveSnapshot(payload));
+    }
+
+    /**
+     * Handle a local change of a co-edited field.
+     * @param {string} handle - The field handle
+     * @param {string|null} previousText - The value before the change
+     * @param {string|null} newText - The value after the change
+     */
+    localChange(handle, previousText, newText) {
+        // A debounced update carrying text we already merged from the input: re-apply the merged text instead
+        if (this.ingestedText[handle] !== undefined && this.ingestedText[handle] === newText) {
+            delete this.ingestedText[handle];
+            Vue.nextTick(() => this.applyDocumentText(handle));
+            return;
+        }
+
+        delete this.ingestedText[handle];
+
+        const doc = this.document(handle, previousText);
+        this.queue(handle, doc.applyLocalText(newText || ''));
+    }
+
+    /**
+     * Queue local operations and schedule sending them.
+     * @param {string} handle - The field handle
+     * @param {Object[]} ops - The operations
+     */
+    queue(handle, ops) {
+        if (!ops.length) return;
+
+        this.outbox[handle] = (this.outbox[handle] || []).concat(ops);
+        this.history[handle] = (this.history[handle] || []).concat(ops).slice(-this.historyLimit);
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.flushDelay);
+        }
+    }
+
+    /**
+     * Send all queued operations.
+     */
+    flush() {
+        this.flushTimer = null;
+
+        Object.keys(this.outbox).forEach(handle => {
+            this.workspace.whisper('text-ops', {
+                handle,
+                ops: this.outbox[handle],
+                windowId: this.workspace.windowId,
+            });
+        });
+
+        this.outbox = {};
+    }
+
+    /**
+     * Merge operations from another window into the field's document.
+     * @param {Object} payload - The whisper payload with handle, ops and windowId
+     */
+    receiveOps({ handle, ops, windowId }) {
+        if (windowId === this.workspace.windowId) return;
+
+        this.workspace.debug(`Received ${ops.length} text operations for "${handle}"`, { windowId });
+
+        const doc = this.document(handle, this.currentValue(handle));
+        this.ingestFocusedInput(handle);
+
+        this.applyToDocument(handle, () => {
+            const retried = (this.pending[handle] || []).concat(ops);
+            this.pending[handle] = doc.applyRemoteOps(retried);
+        });
+
+        this.workspace.emit('remote-change-applied', { handles: [handle], source: 'co-editing' });
+
+        if (this.pending[handle].length) {
+            this.scheduleSnapshotRequest(handle, windowId);
+        } else {
+            this.cancelSnapshotRequest(handle);
+        }
+    }
+
+    /**
+     * Ask the sender for a snapshot if operations stay unplaceable for a while.
+     * @param {string} handle - The field handle
+     * @param {string} windowId - The window that sent the operations
+     */
+    scheduleSnapshotRequest(handle, windowId) {
+        if (this.snapshotRequestTimers[handle]) return;
+
+        this.snapshotRequestTimers[handle] = setTimeout(() => {
+            delete this.snapshotRequestTimers[handle];
+            if (!this.pending[handle]?.length) return;
+
+            this.workspace.debug(`Requesting text snapshot for "${handle}" from ${windowId.slice(-6)}`);
+            this.workspace.whisper('text-sync-request', {
+                handle,
+                windowId: this.workspace.windowId,
+                targetWindowId: windowId,
+            });
+        }, this.snapshotRequestDelay);
+    }
+
+    /**
+     * Cancel a scheduled snapshot request.
+     * @param {string} handle - The field handle
+     */
+    cancelSnapshotRequest(handle) {
+        if (this.snapshotRequestTimers[handle]) {
+            clearTimeout(this.snapshotRequestTimers[handle]);
+            delete this.snapshotRequestTimers[handle];
+        }
+    }
+
+    /**
+     * Send our document to a window that asked for it.
+     * @param {Object} payload - The whisper payload with handle, windowId and targetWindowId
+     */
+    receiveSnapshotRequest({ handle, windowId, targetWindowId }) {
+        if (targetWindowId !== this.workspace.windowId || !this.documents[handle]) return;
+
+        this.workspace.whisper('text-sync', {
+            handle,
+            snapshot: this.documents[handle].snapshot(),
+            windowId: this.workspace.windowId,
+            targetWindowId: windowId,
+        });
+    }
+
+    /**
+     * Replace the field's document with a snapshot from another window.
+     * Our own recent operations are re-applied on top, in case the snapshot doesn't include them yet.
+     * @param {Object} payload - The whisper payload with handle, snapshot and targetWindowId
+     */
+    receiveSnapshot({ handle, snapshot, targetWindowId }) {
+        if (targetWindowId !== this.workspace.windowId) return;
+
+        this.workspace.debug(`Loading text snapshot for "${handle}"`);
+
+        const doc = this.document(handle, this.currentValue(handle));
+        this.ingestFocusedInput(handle);
+
+        this.applyToDocument(handle, () => {
+            doc.loadSnapshot(snapshot);
+            doc.applyRemoteOps(this.history[handle] || []);
+            this.pending[handle] = doc.applyRemoteOps(this.pending[handle] || []);
+        });
+
+        this.workspace.emit('remote-change-applied', { handles: [handle], source: 'co-editing' });
+
+        this.cancelSnapshotRequest(handle);
+    }
+
+    /**
+     * Merge text typed in the focused input that hasn't reached the store yet (fieldtypes
+     * debounce their updates), so applying remote operations doesn't discard it.
+     * @param {string} handle - The field handle
+     */
+    ingestFocusedInput(handle) {
+        const input = this.focusedInput(handle);
+        const doc = this.documents[handle];
+        if (!input || input.value === doc.text()) return;
+
+        this.queue(handle, doc.applyLocalText(input.value));
+        this.ingestedText[handle] = input.value;
+    }
+
+    /**
+     * Change the document and write the result to the store, keeping the local caret in place.
+     * @param {string} handle - The field handle
+     * @param {Function} change - Callback that modifies the document
+     */
+    applyToDocument(handle, change) {
+        const doc = this.documents[handle];
+        const input = this.focusedInput(handle);
+        const anchors = input
+            ? [doc.anchorAt(input.selectionStart), doc.anchorAt(input.selectionEnd)]
+            : null;
+
+        change();
+        this.applyDocumentText(handle);
+
+        if (anchors) {
+            Vue.nextTick(() => {
+                input.setSelectionRange(doc.positionOf(anchors[0]), doc.positionOf(anchors[1]));
+            });
+        }
+    }
+
+    /**
+     * Write the document text to the store without marking it as a local change.
+     * @param {string} handle - The field handle
+     */
+    applyDocumentText(handle) {
+        const text = this.documents[handle].text();
+        if (text === this.currentValue(handle)) return;
+
+        this.workspace.applyingBroadcast = true;
+        try {
+            Statamic.$store.commit(`publish/${this.workspace.container.name}/setFieldValue`, { handle, value: text });
+        } finally {
+            this.workspace.applyingBroadcast = false;
+        }
+    }
+
+    /**
+     * Get the field's current value from the store.
+     * @param {string} handle - The field handle
+     * @returns {string}
+     */
+    currentValue(handle) {
+        return Statamic.$store.state.publish[this.workspace.container.name].values[handle] || '';
+    }
+
+    /**
+     * Get the focused text input or textarea of a field, if any.
+     * @param {string} handle - The field handle
+     * @returns {HTMLInputElement|HTMLTextAreaElement|null}
+     */
+    focusedInput(handle) {
+        const el = document.activeElement;
+        if (!el || !['INPUT', 'TEXTAREA'].includes(el.tagName)) return null;
+        if (!el.closest(`.publish-field__${handle}`)) return null;
+        return el;
+    }
+
+    /**
+     * Stop all timers and send any queued operations.
+     */
+    destroy() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flush();
+        }
+        Object.keys(this.snapshotRequestTimers).forEach(handle => this.cancelSnapshotRequest(handle));
+    }
+}
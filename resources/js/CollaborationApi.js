@@ -0,0 +1,210 @@
+import FieldtypeAdapters from './FieldtypeAdapters';
+
+/**
+ * CollaborationApi Class
+ *
+ * The client-side API of the addon for other control panel addons, available as
+ * `Statamic.$collaboration`. It gives access to the workspace of every open entry,
+ * emits the events of a collaboration session, and carries custom whispers over the
+ * entry's presence channel, so addons don't need to open a channel of their own:
+ *
+ *     Statamic.$collaboration.on('field-locked', ({ workspace, user, handle }) => { ... });
+ *
+ *     Statamic.$collaboration.listenForWhisper('seo.checklist', ({ workspace, payload, user }) => { ... });
+ *     Statamic.$collaboration.whisper(container.name, 'seo.checklist', { done: 3 });
+ *
+ * Custom whispers must be namespaced ("vendor.event"), and are kept apart from the
+ * whispers of the addon itself. Fieldtypes can register an adapter to control how their
+ * values are compared, serialized and merged (see FieldtypeAdapters).
+ */
+export default class CollaborationApi {
+
+    /**
+     * The events that can be listened for with on().
+     */
+    static EVENTS = [
+        'user-joined',
+        'user-left',
+        'field-locked',
+        'field-unlocked',
+        'remote-change-applied',
+        'saved',
+        'published',
+        'connection-changed',
+    ];
+
+    /**
+     * @param {Manager} manager - The manager holding the workspaces
+     */
+    constructor(manager) {
+        this.manager = manager;
+
+        // Callbacks keyed by event
+        this.listeners = {};
+
+        // Callbacks for custom whispers, keyed by (namespaced) event
+        this.whisperListeners = {};
+    }
+
+    /**
+     * The workspaces of the open entries, keyed by publish container name.
+     * @returns {Object<string, Workspace>}
+     */
+    get workspaces() {
+        return { ...this.manager.workspaces };
+    }
+
+    /**
+     * Get the workspace of a publish container.
+     * @param {string} name - The publish container name
+     * @returns {Workspace|null}
+     */
+    workspace(name) {
+        return this.manager.workspaces[name] || null;
+    }
+
+    /**
+     * Register the adapter of a fieldtype, see FieldtypeAdapters for its hooks.
+     * @param {string} fieldtype - The fieldtype handle
+     * @param {Object} adapter
+     */
+    registerAdapter(fieldtype, adapter) {
+        FieldtypeAdapters.register(fieldtype, adapter);
+    }
+
+    /**
+     * Listen for an event. Callbacks receive the workspace the event happened in,
+     * along with the details of the event.
+     * @param {string} event - One of CollaborationApi.EVENTS
+     * @param {Function} callback
+     * @returns {Function} Stops listening when called
+     */
+    on(event, callback) {
+        if (!CollaborationApi.EVENTS.includes(event)) {
+            throw new Error(`Unknown collaboration event "${event}"`);
+        }
+
+        (this.listeners[event] = this.listeners[event] || []).push(callback);
+
+        return () => this.off(event, callback);
+    }
+
+    /**
+     * Stop listening for an event.
+     * @param {string} event
+     * @param {Function} callback
+     */
+    off(event, callback) {
+        this.listeners[event] = (this.listeners[event] || []).filter(other => other !== callback);
+    }
+
+    /**
+     * Call the listeners of an event.
+     * @param {string} event
+     * @param {Object} payload
+     */
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach(callback => this.call(callback, payload));
+    }
+
+    /**
+     * Send a custom whisper to the other windows on an entry.
+     * @param {string} name - The publish container name
+     * @param {string} event - The namespaced event, e.g. "seo.checklist"
+     * @param {*} payload
+     * @returns {boolean} Whether it was sent (the entry must be open, with collaboration started)
+     */
+    whisper(name, event, payload = null) {
+        const whisperEvent = this.whisperEvent(event);
+        const workspace = this.workspace(name);
+        if (!workspace?.started) return false;
+
+        workspace.whisper(whisperEvent, { payload, user: workspace.user, windowId: workspace.windowId }, { force: true });
+
+        return true;
+    }
+
+    /**
+     * Listen for a custom whisper on all entries, including ones opened later.
+     * Callbacks receive the workspace, the payload and the user who sent it.
+     * @param {string} event - The namespaced event, e.g. "seo.checklist"
+     * @param {Function} callback
+     * @returns {Function} Stops listening when called
+     */
+    listenForWhisper(event, callback) {
+        this.whisperEvent(event);
+
+        if (!this.whisperListeners[event]) {
+            this.whisperListeners[event] = [];
+            Object.values(this.manager.workspaces)
+                .filter(workspace => workspace.started)
+                .forEach(workspace => this.listenOn(workspace, event));
+        }
+
+        this.whisperListeners[event].push(callback);
+
+        return () => {
+            this.whisperListeners[event] = this.whisperListeners[event].filter(other => other !== callback);
+        };
+    }
+
+    /**
+     * Listen for the custom whispers on a workspace whose channel was just joined.
+     * @param {Workspace} workspace
+     */
+    attach(workspace) {
+        Object.keys(this.whisperListeners).forEach(event => this.listenOn(workspace, event));
+    }
+
+    /**
+     * Pass a custom whisper received by a workspace on to the listeners.
+     * @param {Workspace} workspace
+     * @param {string} event
+     */
+    listenOn(workspace, event) {
+        workspace.listenForWhisper(this.whisperEvent(event), ({ payload, user, windowId }) => {
+            if (windowId === workspace.windowId) return;
+
+            (this.whisperListeners[event] || []).forEach(callback => this.call(callback, { workspace, event, payload, user, windowId }));
+        });
+    }
+
+    /**
+     * Emit "connection-changed" whenever the transport's connection changes state.
+     * Transports without a Pusher compatible connection (e.g. BroadcastChannel) are always connected.
+     * @param {Object} transport
+     */
+    watch(transport) {
+        const connection = transport.echo?.connection || transport.connection;
+
+        connection?.bind('state_change', ({ current }) => {
+            this.emit('connection-changed', { state: current, connected: transport.isConnected() });
+        });
+    }
+
+    /**
+     * Get the name a custom whisper is sent as.
+     * @param {string} event - The namespaced event
+     * @returns {string}
+     */
+    whisperEvent(event) {
+        if (!/^[a-z0-9_-]+\.[a-z0-9_.-]+$/i.test(event || '')) {
+            throw new Error(`Collaboration whisper events must be namespaced, e.g. "my-addon.${event}"`);
+        }
+
+        return `addon.${event}`;
+    }
+
+    /**
+     * Call a listener, keeping a failing addon from breaking collaboration.
+     * @param {Function} callback
+     * @param {Object} payload
+     */
+    call(callback, payload) {
+        try {
+            callback(payload);
+        } catch (error) {
+            console.error('[Collaboration] Event listener failed', error);
+        }
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * EchoTransport Class
+ *
+ * Connects workspaces through Laravel Echo presence channels, so users in different
+ * browsers can collaborate. This is the default transport.
+ *
+ * A transport joins and leaves channels, and reports the state of its connection.
+ * Joined channels have the API of an Echo presence channel, which the Workspace uses:
+ * here, joining, leaving (presence list), whisper, listenForWhisper and listen
+ * (events broadcast by the server).
+ */
+export default class EchoTransport {
+
+    /**
+     * @param {Echo} echo - The Laravel Echo instance booted by Statamic
+     */
+    constructor(echo) {
+        this.echo = echo;
+    }
+
+    /**
+     * Join a presence channel.
+     * @param {string} name - The channel name
+     * @returns {Object} The Echo presence channel
+     */
+    join(name) {
+        return this.echo.join(name);
+    }
+
+    /**
+     * Leave a channel.
+     * @param {string} name - The channel name
+     */
+    leave(name) {
+        this.echo.leave(name);
+    }
+
+    /**
+     * The underlying Pusher connection, when using a Pusher compatible broadcaster.
+     * @returns {Object|undefined}
+     */
+    get connection() {
+        return this.echo.connector?.pusher?.connection;
+    }
+
+    /**
+     * Check if the WebSocket is connected. Assumed when the state can't be determined.
+     * @returns {boolean}
+     */
+    isConnected() {
+        const connection = this.connection;
+        return !connection || connection.state === 'connected';
+    }
+
+    /**
+     * Fall back to another way of connecting when the WebSocket is down.
+     * @returns {boolean} Whether there is a fallback (there's none)
+     */
+    degrade() {
+        return false;
+    }
+
+    /**
+     * Call a function whenever the WebSocket (re)connects.
+     * @param {Function} callback
+     */
+    onConnected(callback) {
+        this.connection?.bind('connected', callback);
+    }
+
+    /**
+     * Stop calling a function registered with onConnected().
+     * @param {Function} callback
+     */
+    offConnected(callback) {
+        this.connection?.unbind('connected', callback);
+    }
+}
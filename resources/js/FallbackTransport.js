@@ -0,0 +1,397 @@
+import PollingChannel from './PollingChannel';
+
+// Whispers not worth an HTTP request each: they're frequent and only cosmetic, or (the
+// state sent to joining windows) large and available from the state API anyway
+const SOCKET_ONLY_EVENTS = /^(chunked-)?(cursor|initialize-state-for-window-.*)$/;
+
+/**
+ * FallbackTransport Class
+ *
+ * Wraps the Echo transport with an HTTP polling fallback, for networks that block
+ * WebSockets (e.g. corporate proxies) or while the socket can't reconnect:
+ *
+ * - When the socket isn't connected for a while, channels switch to polling the
+ *   collaboration events endpoint, which keeps presence, locks, force unlocks and
+ *   sync-now notifications flowing; whispers are posted and relayed to the WebSocket channel
+ * - Windows still on the socket notice polling windows through those relayed whispers,
+ *   and mirror their own whispers to the endpoint while any are around
+ * - Once the socket connects again, channels stop polling and carry on over Echo
+ *
+ * Workspaces use it like any other transport and don't need to know which mode it's in.
+ */
+export default class FallbackTransport {
+
+    /**
+     * @param {EchoTransport|SharedWorkerTransport} echo - The transport used while the socket is connected
+     */
+    constructor(echo) {
+        this.echo = echo;
+        this.channels = {};
+        this.connectedCallbacks = [];
+
+        // Switch to polling after the socket has been down this long
+        this.degradeAfterMs = 10000;
+        this.degradeTimer = null;
+        this.degraded = false;
+
+        this.watchConnection();
+    }
+
+    /**
+     * Follow the state of the socket connection. Without a Pusher compatible
+     * connection to watch, there's no way to tell it's down, so we never fall back.
+     */
+    watchConnection() {
+        const connection = this.echo.connection;
+        if (!connection) return;
+
+        connection.bind('state_change', ({ current }) => {
+            if (current === 'connected') {
+                clearTimeout(this.degradeTimer);
+                this.degradeTimer = null;
+                if (this.degraded) this.recover();
+            } else {
+                this.scheduleDegrade();
+            }
+        });
+
+        if (!this.echo.isConnected()) this.scheduleDegrade();
+    }
+
+    /**
+     * Fall back to polling unless the socket connects in time.
+     */
+    scheduleDegrade() {
+        if (this.degraded || this.degradeTimer) return;
+
+        this.degradeTimer = setTimeout(() => {
+            this.degradeTimer = null;
+            if (!this.echo.isConnected()) this.degrade();
+        }, this.degradeAfterMs);
+    }
+
+    /**
+     * Switch all channels to polling.
+     * @returns {boolean} Whether there is a fallback (always)
+     */
+    degrade() {
+        clearTimeout(this.degradeTimer);
+        this.degradeTimer = null;
+        if (this.degraded) return true;
+
+        this.degraded = true;
+        Object.values(this.channels).forEach(channel => channel.startPolling());
+
+        Statamic.$toast.info('Live connection unavailable. Collaboration continues with slower updates.', { duration: 5000 });
+
+        // The state API is reachable, so anything waiting for a connection may continue
+        this.connectedCallbacks.forEach(callback => callback());
+
+        return true;
+    }
+
+    /**
+     * Switch all channels back to the socket.
+     */
+    recover() {
+        this.degraded = false;
+        Object.values(this.channels).forEach(channel => channel.stopPolling());
+
+        Statamic.$toast.success('Live connection restored.', { duration: 2000 });
+    }
+
+    /**
+     * Join a channel.
+     * @param {string} name - The channel name
+     * @param {Object} options - Options (timeout: how long polling requests may take, in ms)
+     * @returns {FallbackChannel}
+     */
+    join(name, { timeout } = {}) {
+        if (!this.channels[name]) {
+            this.channels[name] = new FallbackChannel(this.echo.join(name), name, timeout);
+            if (this.degraded) this.channels[name].startPolling();
+        }
+        return this.channels[name];
+    }
+
+    /**
+     * Leave a channel.
+     * @param {string} name - The channel name
+     */
+    leave(name) {
+        this.channels[name]?.leave();
+        delete this.channels[name];
+        this.echo.leave(name);
+    }
+
+    /**
+     * Connected either through the socket or, in degraded mode, by polling.
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.degraded || this.echo.isConnected();
+    }
+
+    /**
+     * Call a function whenever the socket (re)connects, or polling starts.
+     * @param {Function} callback
+     */
+    onConnected(callback) {
+        this.connectedCallbacks.push(callback);
+        this.echo.onConnected(callback);
+    }
+
+    /**
+     * Stop calling a function registered with onConnected().
+     * @param {Function} callback
+     */
+    offConnected(callback) {
+        this.connectedCallbacks = this.connectedCallbacks.filter(other => other !== callback);
+        this.echo.offConnected(callback);
+    }
+}
+
+/**
+ * A channel with the API of an Echo presence channel, carried by the Echo channel
+ * or by polling, and merging the presence of windows on either side.
+ */
+class FallbackChannel {
+
+    /**
+     * @param {Object} echo - The Echo presence channel
+     * @param {string} name - The channel name
+     * @param {number} timeout - How long polling requests may take, in ms
+     */
+    constructor(echo, name, timeout) {
+        this.echo = echo;
+        this.member = Math.random().toString(36).slice(2);
+        this.http = new PollingChannel(name, this.member, timeout);
+        this.degraded = false;
+
+        // After switching back to the socket, the polled presence holds until Echo reports who's here
+        this.awaitingEcho = false;
+
+        // Users present on the socket, and as reported by the events endpoint while polling
+        this.echoUsers = [];
+        this.httpUsers = [];
+
+        // Polling windows seen through relayed whispers while we're on the socket: member => { user, seen }
+        this.peers = {};
+        this.peerTimeoutMs = 30000;
+
+        // Users as last reported to our callbacks (null until here() was called)
+        this.presentUsers = null;
+
+        this.callbacks = { here: [], joining: [], leaving: [] };
+        this.whisperListeners = {};
+
+        this.echo.here(users => {
+            this.echoUsers = users;
+            this.awaitingEcho = false;
+            this.updatePresence();
+        });
+        this.echo.joining(user => {
+            this.echoUsers = [...this.echoUsers.filter(other => other.id !== user.id), user];
+            this.updatePresence();
+        });
+        this.echo.leaving(user => {
+            this.echoUsers = this.echoUsers.filter(other => other.id !== user.id);
+            this.updatePresence();
+        });
+        this.echo.listen('.collaboration.relayed', whisper => this.receiveRelayed(whisper));
+
+        const updateHttpUsers = () => {
+            this.httpUsers = this.http.users || [];
+            this.updatePresence();
+        };
+        this.http.here(updateHttpUsers).joining(updateHttpUsers).leaving(updateHttpUsers);
+
+        // Keep our entry in the endpoint's member list while polling windows need it
+        this.heartbeatInterval = setInterval(() => this.heartbeat(), 10000);
+    }
+
+    /**
+     * Get the users present, from the events endpoint while polling, or from the
+     * socket plus the polling windows we know of otherwise.
+     * @returns {Object[]}
+     */
+    users() {
+        const users = {};
+        const list = this.degraded || this.awaitingEcho
+            ? this.httpUsers
+            : [...this.echoUsers, ...Object.values(this.peers).map(peer => peer.user)];
+
+        list.forEach(user => users[user.id] = user);
+        return Object.values(users);
+    }
+
+    /**
+     * Report users who appeared or disappeared since the last report.
+     * Calls here() instead the first time, so it's called once, whichever side joins first
+     * (after falling back or reconnecting, the other side's presence arrives as changes).
+     */
+    updatePresence() {
+        const users = this.users();
+
+        if (this.presentUsers === null) {
+            // Wait for the side we're on to know who's here
+            if (this.degraded ? this.http.users === null : !this.echoUsers.length) return;
+            this.presentUsers = users;
+            this.callbacks.here.forEach(callback => callback(users));
+            return;
+        }
+
+        const before = this.presentUsers;
+        this.presentUsers = users;
+
+        users.filter(user => !before.some(other => other.id === user.id))
+            .forEach(user => this.callbacks.joining.forEach(callback => callback(user)));
+        before.filter(user => !users.some(other => other.id === user.id))
+            .forEach(user => this.callbacks.leaving.forEach(callback => callback(user)));
+    }
+
+    /**
+     * Handle a whisper a polling window posted, relayed by the server to the socket.
+     * @param {Object} whisper - { event, data, from, user }
+     */
+    receiveRelayed({ event, data, from, user }) {
+        if (from === this.member) return;
+
+        if (event === 'polling-left') {
+            delete this.peers[from];
+        } else {
+            this.peers[from] = { user, seen: Date.now() };
+        }
+        this.updatePresence();
+
+        if (event === 'presence' || event === 'polling-left') return;
+        (this.whisperListeners[event] || []).forEach(callback => callback(data));
+    }
+
+    /**
+     * Announce ourselves to the endpoint, and forget polling windows we haven't heard from.
+     */
+    heartbeat() {
+        const now = Date.now();
+        Object.keys(this.peers).forEach(member => {
+            if (now - this.peers[member].seen > this.peerTimeoutMs) delete this.peers[member];
+        });
+        this.updatePresence();
+
+        if (this.degraded || Object.keys(this.peers).length) {
+            this.http.post('presence', {}, { relay: this.degraded }).catch(() => {});
+        }
+    }
+
+    /**
+     * Switch to polling.
+     */
+    startPolling() {
+        if (this.degraded) return;
+
+        this.degraded = true;
+        this.http.start();
+        this.http.post('presence', {}, { relay: true }).catch(() => {});
+    }
+
+    /**
+     * Switch back to the socket.
+     */
+    stopPolling() {
+        if (!this.degraded) return;
+
+        this.degraded = false;
+        this.awaitingEcho = true;
+        this.http.stop();
+        this.http.post('polling-left', {}, { relay: true }).catch(() => {});
+    }
+
+    /**
+     * @param {Function} callback
+     * @returns {FallbackChannel}
+     */
+    here(callback) {
+        this.callbacks.here.push(callback);
+        return this;
+    }
+
+    /**
+     * @param {Function} callback
+     * @returns {FallbackChannel}
+     */
+    joining(callback) {
+        this.callbacks.joining.push(callback);
+        return this;
+    }
+
+    /**
+     * @param {Function} callback
+     * @returns {FallbackChannel}
+     */
+    leaving(callback) {
+        this.callbacks.leaving.push(callback);
+        return this;
+    }
+
+    /**
+     * Send a whisper over the socket, or post it to be relayed while polling.
+     * Polling windows around get a copy through the endpoint.
+     * @param {string} event
+     * @param {Object} data
+     * @returns {FallbackChannel}
+     */
+    whisper(event, data) {
+        const relevant = !SOCKET_ONLY_EVENTS.test(event);
+
+        if (this.degraded) {
+            if (relevant) this.http.whisper(event, data);
+            return this;
+        }
+
+        this.echo.whisper(event, data);
+        if (relevant && Object.keys(this.peers).length) {
+            this.http.post(event, data).catch(() => {});
+        }
+        return this;
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {FallbackChannel}
+     */
+    listenForWhisper(event, callback) {
+        this.echo.listenForWhisper(event, callback);
+        this.http.listenForWhisper(event, callback);
+        (this.whisperListeners[event] ||= []).push(callback);
+        return this;
+    }
+
+    /**
+     * Listen for events broadcast by the server, received over the socket, or from the
+     * endpoint while polling.
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {FallbackChannel}
+     */
+    listen(event, callback) {
+        this.echo.listen(event, callback);
+        this.http.listen(event, callback);
+        return this;
+    }
+
+    /**
+     * Stop polling and heartbeats, and leave the endpoint's member list.
+     */
+    leave() {
+        clearInterval(this.heartbeatInterval);
+        if (this.degraded) this.http.post('polling-left', {}, { relay: true }).catch(() => {});
+
+        // Only the endpoint's member list needs leaving, if we were ever on it
+        if (this.degraded || Object.keys(this.peers).length) {
+            this.http.leave();
+        } else {
+            this.http.stop();
+        }
+    }
+}
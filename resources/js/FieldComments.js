@@ -0,0 +1,268 @@
+import { fieldElement, handleOf, isNestedPath, setPathOf } from './FieldPath';
+
+/**
+ * FieldComments Class
+ *
+ * Comment threads attached to a field, or to a set inside a Replicator, Bard or Grid
+ * field (by field path), so editors can leave notes right where they apply:
+ *
+ * - Threads are stored by the comments API until they're resolved, so they survive
+ *   reloads and saving the entry
+ * - New threads, replies and resolutions are whispered to the other windows, which
+ *   update their copy without asking the server
+ * - A badge next to each field label shows its number of threads and opens the
+ *   comments panel; the status bar shows the total
+ */
+export default class FieldComments {
+
+    /**
+     * @param {Workspace} workspace - The workspace the comments belong to
+     */
+    constructor(workspace) {
+        this.workspace = workspace;
+
+        // Badges mounted next to field labels, keyed by handle
+        this.badges = {};
+        this.panel = null;
+        this.observer = null;
+        this.mountScheduled = false;
+    }
+
+    /**
+     * The comments API endpoint of the entry.
+     * @returns {string}
+     */
+    get url() {
+        return this.workspace.stateApiUrl.replace('/collaboration/state/', '/collaboration/comments/');
+    }
+
+    /**
+     * Register the whisper listeners, and keep the badges in sync with the threads.
+     */
+    listen() {
+        this.workspace.listenForWhisper('comment-thread', ({ thread, windowId }) => {
+            if (windowId === this.workspace.windowId) return;
+            this.commit('setThread', thread);
+        });
+
+        this.workspace.listenForWhisper('comment-resolved', ({ id, windowId }) => {
+            if (windowId === this.workspace.windowId) return;
+            this.commit('removeThread', id);
+        });
+
+        this.watcher = Statamic.$store.watch(
+            state => state.collaboration[this.workspace.channelName].comments,
+            () => this.scheduleMount(),
+            { deep: true }
+        );
+    }
+
+    /**
+     * Mount the badges of fields rendered later on, e.g. when switching to another tab
+     * or meeting a field's conditions.
+     *
+     * Only the containers of the top-level fields are watched, along with the elements
+     * between them and the form, where tabs and sections are rendered. Their subtrees
+     * aren't, as every keystroke in a Bard field would be a mutation there.
+     */
+    observe() {
+        const root = this.workspace.container.$el;
+        if (!root) return;
+
+        this.observer ||= new MutationObserver(() => {
+            this.observe();
+            this.scheduleMount();
+        });
+        this.observer.disconnect();
+
+        const values = Statamic.$store.state.publish[this.workspace.container.name]?.values || {};
+        const containers = [
+            ...root.querySelectorAll('.publish-fields'),
+            ...Object.keys(values).map(handle => fieldElement(root, handle)?.parentElement),
+        ].filter(container => container && !container.parentElement?.closest('.publish-field'));
+
+        const watched = new Set([root]);
+        containers.forEach(container => {
+            for (let el = container; el && !watched.has(el); el = el.parentElement) watched.add(el);
+        });
+        watched.forEach(el => this.observer.observe(el, { childList: true }));
+    }
+
+    /**
+     * Mount the badges after the next render, once for any number of changes until then.
+     */
+    scheduleMount() {
+        if (this.mountScheduled) return;
+        this.mountScheduled = true;
+
+        Vue.nextTick(() => {
+            this.mountScheduled = false;
+            this.mountBadges();
+        });
+    }
+
+    /**
+     * Load the open threads from the server.
+     */
+    async load() {
+        try {
+            const { threads } = await this.request('GET');
+            this.commit('setThreads', threads);
+        } catch (error) {
+            this.workspace.debug('Failed to load comments', { error });
+        }
+
+        this.observe();
+        this.scheduleMount();
+    }
+
+    /**
+     * Start a thread.
+     * @param {string} path - The field handle, or the path of a set
+     * @param {string} body - The comment
+     */
+    async create(path, body) {
+        await this.save({ path, body });
+    }
+
+    /**
+     * Reply to a thread.
+     * @param {string} threadId
+     * @param {string} body - The comment
+     */
+    async reply(threadId, body) {
+        await this.save({ thread: threadId, body });
+    }
+
+    /**
+     * Send a comment to the server, and share the updated thread.
+     * @param {Object} comment - { path, body } or { thread, body }
+     */
+    async save(comment) {
+        try {
+            const { thread } = await this.request('POST', comment);
+            this.commit('setThread', thread);
+            this.workspace.whisper('comment-thread', { thread, windowId: this.workspace.windowId }, { force: true });
+        } catch (error) {
+            this.workspace.debug('Failed to save comment', { error });
+            Statamic.$toast.error('Your comment could not be saved.');
+        }
+    }
+
+    /**
+     * Resolve a thread, removing it for everyone.
+     * @param {string} threadId
+     */
+    async resolve(threadId) {
+        try {
+            await this.request('DELETE', { thread: threadId });
+            this.commit('removeThread', threadId);
+            this.workspace.whisper('comment-resolved', { id: threadId, windowId: this.workspace.windowId }, { force: true });
+        } catch (error) {
+            this.workspace.debug('Failed to resolve comment thread', { error });
+            Statamic.$toast.error('The thread could not be resolved.');
+        }
+    }
+
+    /**
+     * Open the comments panel, for one field or for all of them.
+     * A set of the field we're editing can be commented on as well.
+     * @param {string|null} handle
+     */
+    open(handle = null) {
+        if (this.panel) this.panel.destroy();
+
+        const focusedPath = this.workspace.currentFocusedPath;
+        const setPath = handle && focusedPath && handleOf(focusedPath) === handle && isNestedPath(setPathOf(focusedPath))
+            ? setPathOf(focusedPath)
+            : null;
+
+        this.panel = Statamic.$components.append('CollaborationCommentsPanel', {
+            props: { channelName: this.workspace.channelName, containerName: this.workspace.container.name, handle, setPath }
+        });
+
+        this.panel.on('create', ({ path, body }) => this.create(path, body));
+        this.panel.on('reply', ({ thread, body }) => this.reply(thread, body));
+        this.panel.on('resolve', thread => this.resolve(thread));
+        this.panel.on('closed', () => {
+            this.panel.destroy();
+            this.panel = null;
+        });
+    }
+
+    /**
+     * Mount a comments badge next to the label of every field that doesn't have one yet.
+     * Badges read the threads from the store, so they update themselves afterwards.
+     */
+    mountBadges() {
+        const root = this.workspace.container.$el;
+        if (!root) return;
+
+        const CommentBadge = Vue.component('CollaborationCommentBadge');
+        const values = Statamic.$store.state.publish[this.workspace.container.name]?.values || {};
+
+        Object.keys(values).forEach(handle => {
+            const existing = this.badges[handle];
+            if (existing && document.body.contains(existing.$el)) return;
+            if (existing) existing.$destroy();
+
+            const label = fieldElement(root, handle)?.querySelector('.publish-field-label, label');
+            if (!label) return;
+
+            const badge = new CommentBadge({
+                store: Statamic.$store,
+                propsData: { channelName: this.workspace.channelName, handle },
+            }).$mount();
+
+            badge.$on('open', () => this.open(handle));
+            label.appendChild(badge.$el);
+            this.badges[handle] = badge;
+        });
+    }
+
+    /**
+     * Send a request to the comments API.
+     * @param {string} method
+     * @param {Object|null} body
+     * @returns {Promise<Object>} The response
+     */
+    async request(method, body = null) {
+        const response = await this.workspace.fetchWithTimeout(this.url, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+                'X-CSRF-TOKEN': this.workspace.csrfToken,
+            },
+            credentials: 'same-origin',
+            body: body ? JSON.stringify(body) : undefined,
+        });
+
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        return response.json();
+    }
+
+    /**
+     * Remove the badges, the panel, the store watcher and the observer.
+     */
+    destroy() {
+        this.watcher?.();
+        this.observer?.disconnect();
+        this.panel?.destroy();
+        Object.values(this.badges).forEach(badge => {
+            badge.$destroy();
+            badge.$el.remove();
+        });
+        this.badges = {};
+    }
+
+    /**
+     * @param {string} mutation
+     * @param {*} payload
+     */
+    commit(mutation, payload) {
+        Statamic.$store.commit(`collaboration/${this.workspace.channelName}/${mutation}`, payload);
+    }
+}
@@ -0,0 +1,303 @@
+/**
+ * Field path helpers
+ *
+ * A field path addresses a set inside a Replicator, Bard or Grid field, using dot
+ * notation like Statamic's own field paths. Sets are addressed by the id Replicator,
+ * Grid ("_id") and Bard ("attrs.id") store on each of them, prefixed with "#", so a
+ * path keeps pointing at the same set when sets are added, removed or reordered:
+ * "content.#lx8f2k1a.text" is the "text" field of that set of the "content" field.
+ * Bard nodes without an id (e.g. paragraphs) are addressed by their index instead.
+ *
+ * Paths are derived from the DOM of the publish form and the field values, and used
+ * to lock and merge individual sets instead of the whole top-level field.
+ */
+
+// Elements representing one set/row of a Replicator or Grid field
+const SET_SELECTOR = '.replicator-set, .grid-row';
+
+const FIELD_CLASS_PREFIX = 'publish-field__';
+
+/**
+ * Find the element of a top-level field in the publish form.
+ * @param {HTMLElement} root - The publish container element
+ * @param {string} handle - The top-level field handle
+ * @returns {HTMLElement|null}
+ */
+export function fieldElement(root, handle) {
+    return root?.querySelector(`.${FIELD_CLASS_PREFIX}${handle}`) || null;
+}
+
+/**
+ * Check if an element is a set: a Replicator set, a Grid row, or a top-level node inside Bard.
+ * @param {HTMLElement} el
+ * @returns {boolean}
+ */
+function isSet(el) {
+    return el.matches(SET_SELECTOR) || !!el.parentElement?.classList.contains('ProseMirror');
+}
+
+/**
+ * Get the index of a set among its sibling sets.
+ * Bard nodes are counted among all nodes, matching the index in the Bard value.
+ * @param {HTMLElement} el
+ * @returns {number}
+ */
+function setIndex(el) {
+    const siblings = Array.from(el.parentElement.children);
+    if (el.parentElement.classList.contains('ProseMirror')) return siblings.indexOf(el);
+    return siblings.filter(sibling => sibling.matches(SET_SELECTOR)).indexOf(el);
+}
+
+/**
+ * Check if a path segment addresses a set (by id or index) rather than a field.
+ * @param {string} segment
+ * @returns {boolean}
+ */
+function isSetSegment(segment) {
+    return /^(\d+|#.+)$/.test(segment);
+}
+
+/**
+ * Get the id of a set: a Replicator set or Grid row, or a Bard set node.
+ * @param {*} set
+ * @returns {string|null}
+ */
+function setId(set) {
+    return set?._id || set?.attrs?.id || null;
+}
+
+/**
+ * Get the index of the set a path segment addresses among a field's sets.
+ * @param {Array} sets
+ * @param {string} segment - "#" followed by the set id, or the index
+ * @returns {number} -1 when there's no such set
+ */
+function indexOfSet(sets, segment) {
+    if (!Array.isArray(sets)) return -1;
+    if (!segment.startsWith('#')) return Number(segment) < sets.length ? Number(segment) : -1;
+
+    return sets.findIndex(set => setId(set) === segment.slice(1));
+}
+
+/**
+ * Get the handle of a (nested) publish field element.
+ * @param {HTMLElement} el
+ * @returns {string|null}
+ */
+function fieldHandle(el) {
+    const className = Array.from(el.classList).find(name => name.startsWith(FIELD_CLASS_PREFIX));
+    return className ? className.slice(FIELD_CLASS_PREFIX.length) : null;
+}
+
+/**
+ * Build the field path of an element inside a top-level field.
+ * The position of each set in the DOM is looked up in the field value, to address it by its id.
+ * @param {HTMLElement} element - The element (usually the focused input)
+ * @param {HTMLElement} root - The publish container element
+ * @param {string} handle - The top-level field handle
+ * @param {Object} values - The values of the publish form, keyed by handle
+ * @returns {string} The path, or just the handle when the element isn't inside a set
+ */
+export function pathFromElement(element, root, handle, values) {
+    const top = fieldElement(root, handle);
+    if (!element || !top || !top.contains(element)) return handle;
+
+    const segments = [];
+    for (let el = element; el && el !== top; el = el.parentElement) {
+        if (isSet(el)) {
+            segments.unshift(setIndex(el));
+        } else if (fieldHandle(el)) {
+            segments.unshift(fieldHandle(el));
+        }
+    }
+
+    let value = parse(values?.[handle])[0];
+    const path = segments.map(segment => {
+        if (typeof segment !== 'number') {
+            value = child(value, segment);
+            return segment;
+        }
+
+        const set = Array.isArray(value) ? value[segment] : undefined;
+        value = set;
+        return setId(set) ? `#${setId(set)}` : String(segment);
+    });
+
+    return [handle, ...path].join('.');
+}
+
+/**
+ * Replace the set ids in a path with the current position of the sets, e.g. for display.
+ * @param {string} path
+ * @param {Object} values - The values of the publish form, keyed by handle
+ * @returns {string} The path with set indexes (ids of sets that no longer exist are kept)
+ */
+export function indexPath(path, values) {
+    const [handle, ...segments] = path.split('.');
+    let value = parse(values?.[handle])[0];
+
+    const indexed = segments.map(segment => {
+        if (!isSetSegment(segment)) {
+            value = child(value, segment);
+            return segment;
+        }
+
+        const index = indexOfSet(value, segment);
+        value = index === -1 ? undefined : value[index];
+        return index === -1 ? segment : String(index);
+    });
+
+    return [handle, ...indexed].join('.');
+}
+
+/**
+ * Check if a path points inside a top-level field (rather than the field itself).
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function isNestedPath(path) {
+    return !!path && path.includes('.');
+}
+
+/**
+ * Get the top-level field handle of a path.
+ * @param {string} path
+ * @returns {string}
+ */
+export function handleOf(path) {
+    return path.split('.')[0];
+}
+
+/**
+ * Get the path of the set a path points into, which is the granularity sets are locked at.
+ * "content.#lx8f2k1a.text" becomes "content.#lx8f2k1a"; a path without sets becomes the top-level handle.
+ * @param {string} path
+ * @returns {string}
+ */
+export function setPathOf(path) {
+    const segments = path.split('.');
+    let last = 0;
+    segments.forEach((segment, index) => {
+        if (index > 0 && isSetSegment(segment)) last = index;
+    });
+    return segments.slice(0, last + 1).join('.');
+}
+
+/**
+ * Find the set element a path points to.
+ * @param {HTMLElement} root - The publish container element
+ * @param {string} path - The field path
+ * @param {Object} values - The values of the publish form, keyed by handle
+ * @returns {HTMLElement|null}
+ */
+export function elementForPath(root, path, values) {
+    const handle = handleOf(path);
+    const top = fieldElement(root, handle);
+    if (!top) return null;
+
+    const target = setPathOf(path);
+    const candidates = top.querySelectorAll(`${SET_SELECTOR}, .ProseMirror > *`);
+
+    return Array.from(candidates).find(el => setPathOf(pathFromElement(el, root, handle, values)) === target) || null;
+}
+
+/**
+ * Find the element of a (nested) field a path points to, e.g. the "text" field of the set in "content.#lx8f2k1a.text".
+ * @param {HTMLElement} root - The publish container element
+ * @param {string} path - The field path
+ * @param {Object} values - The values of the publish form, keyed by handle
+ * @returns {HTMLElement|null}
+ */
+export function fieldElementForPath(root, path, values) {
+    const segments = path.split('.');
+    const handle = segments[0];
+    let el = fieldElement(root, handle);
+
+    for (let i = 1; el && i < segments.length; i++) {
+        const prefix = segments.slice(0, i + 1).join('.');
+
+        if (isSetSegment(segments[i])) {
+            el = elementForPath(root, prefix, values);
+        } else {
+            const fields = el.querySelectorAll(`.${FIELD_CLASS_PREFIX}${segments[i]}`);
+            el = Array.from(fields).find(field => pathFromElement(field, root, handle, values) === prefix) || null;
+        }
+    }
+
+    return el;
+}
+
+/**
+ * Parse a value that may be stored as a JSON string (as Bard does).
+ * @param {*} value
+ * @returns {Array} [parsed value, whether it was a JSON string]
+ */
+function parse(value) {
+    if (typeof value !== 'string') return [value, false];
+    try {
+        return [JSON.parse(value), true];
+    } catch (error) {
+        return [value, false];
+    }
+}
+
+/**
+ * Step into a value by one path segment. Sets are looked up by id (or index) among the
+ * field's sets, and Bard set nodes keep their fields in attrs.values.
+ * @param {*} value
+ * @param {string} segment
+ * @returns {*}
+ */
+function child(value, segment) {
+    if (isSetSegment(segment)) {
+        const index = indexOfSet(value, segment);
+        return index === -1 ? undefined : value[index];
+    }
+    if (value && value.type === 'set' && value.attrs?.values) {
+        return value.attrs.values[segment];
+    }
+    return value?.[segment];
+}
+
+/**
+ * Replace the value at a path inside a field value with the value at the same path in another.
+ * Used to keep a set we are editing when applying a remote value of the whole field.
+ * @param {*} target - The field value to merge into (e.g. the remote value)
+ * @param {*} source - The field value to take the path from (e.g. our local value)
+ * @param {string} path - The path, relative to the field (without the top-level handle)
+ * @returns {*} The merged field value, in the same format (object or JSON string) as target
+ */
+export function mergeAtPath(target, source, path) {
+    const [parsedTarget, wasString] = parse(target);
+    const [parsedSource] = parse(source);
+    const segments = path.split('.');
+
+    if (!parsedTarget || typeof parsedTarget !== 'object') return target;
+
+    const merged = clone(parsedTarget);
+    let sourceValue = parsedSource;
+    segments.forEach(segment => sourceValue = child(sourceValue, segment));
+
+    // Walk to the parent of the last segment, creating nothing: if the path doesn't exist remotely, keep the target
+    let parent = merged;
+    for (const segment of segments.slice(0, -1)) {
+        parent = child(parent, segment);
+        if (!parent || typeof parent !== 'object') return target;
+    }
+
+    if (sourceValue === undefined) return target;
+
+    const last = segments[segments.length - 1];
+    if (isSetSegment(last)) {
+        // The set may sit at another position in the target than in the source
+        const index = indexOfSet(parent, last);
+        if (index === -1) return target;
+        parent[index] = sourceValue;
+    } else if (parent.type === 'set' && parent.attrs?.values) {
+        parent.attrs.values[last] = sourceValue;
+    } else {
+        parent[last] = sourceValue;
+    }
+
+    return wasString ? JSON.stringify(merged) : merged;
+}
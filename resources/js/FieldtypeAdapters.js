@@ -0,0 +1,115 @@
+import { mergeAtPath } from './FieldPath';
+
+/**
+ * The behaviour of fieldtypes without an adapter of their own. Adapters only need
+ * to implement the hooks they want to change.
+ */
+const DEFAULT_ADAPTER = {
+
+    /**
+     * Check if two values of the field are the same (no change to broadcast).
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean}
+     */
+    equals(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    },
+
+    /**
+     * Turn a value of the field into what is sent to other windows and the state cache.
+     * @param {*} value
+     * @returns {*}
+     */
+    serialize(value) {
+        return value;
+    },
+
+    /**
+     * Turn a serialized value received from other windows or the state cache back into a value of the field.
+     * @param {*} value
+     * @returns {*}
+     */
+    deserialize(value) {
+        return value;
+    },
+
+    /**
+     * Combine our value with a remote update of the field.
+     * By default the remote value wins, except for the set we're editing, which we keep.
+     * @param {*} local - Our current value
+     * @param {*} remote - The (deserialized) remote value
+     * @param {Object} context - { handle, setPath }, setPath being the path of the set we're
+     *                           editing relative to the field, or null when not editing one
+     * @returns {*} The value to apply
+     */
+    merge(local, remote, { setPath }) {
+        return setPath ? mergeAtPath(remote, local, setPath) : remote;
+    },
+
+    /**
+     * Reduce the meta of the field to what is whispered to other windows.
+     * Only the keys listed in the "__collaboration" key of the meta are sent, when present.
+     * @param {Object} meta
+     * @returns {Object}
+     */
+    serializeMeta(meta) {
+        const allowed = data_get(meta, '__collaboration');
+        if (!allowed) return meta;
+
+        const allowedValues = {};
+        allowed.forEach(key => allowedValues[key] = meta[key]);
+        return allowedValues;
+    },
+
+    /**
+     * Restore the meta of the field from what was whispered, on top of what we know.
+     * @param {Object} meta - The received meta
+     * @param {Object|undefined} last - The meta we last knew of
+     * @returns {Object}
+     */
+    restoreMeta(meta, last) {
+        return { ...last, ...meta };
+    },
+};
+
+/**
+ * FieldtypeAdapters Class
+ *
+ * A registry of adapters controlling how the values of a fieldtype are compared,
+ * serialized, merged with remote updates and restored, for fieldtypes whose values
+ * need more than the defaults (e.g. a map picker or table editor). Register them
+ * through the public API:
+ *
+ *     Statamic.$collaboration.registerAdapter('map_picker', {
+ *         equals: (a, b) => a?.lat === b?.lat && a?.lng === b?.lng,
+ *         merge: (local, remote) => ({ ...local, ...remote }),
+ *     });
+ *
+ * See DEFAULT_ADAPTER for the hooks and their default behaviour.
+ */
+export default class FieldtypeAdapters {
+
+    /**
+     * Adapters keyed by fieldtype handle
+     */
+    static adapters = {};
+
+    /**
+     * Register the adapter of a fieldtype, replacing any registered before.
+     * @param {string} fieldtype - The fieldtype handle
+     * @param {Object} adapter - The hooks to override
+     */
+    static register(fieldtype, adapter) {
+        FieldtypeAdapters.adapters[fieldtype] = { ...DEFAULT_ADAPTER, ...adapter };
+    }
+
+    /**
+     * Get the adapter of a fieldtype, or the default one.
+     * @param {string|null} fieldtype - The fieldtype handle
+     * @returns {Object}
+     */
+    static for(fieldtype) {
+        return FieldtypeAdapters.adapters[fieldtype] || DEFAULT_ADAPTER;
+    }
+}
@@ -0,0 +1,125 @@
+import { fieldElement, fieldElementForPath } from './FieldPath';
+
+/**
+ * FollowMode Class
+ *
+ * Follows another collaborator around the publish form, e.g. while they walk someone
+ * through their changes. Whenever the followed user focuses a field (as tracked from
+ * their focus whispers), its tab is opened and the field (or set) is scrolled into
+ * view and highlighted.
+ *
+ * Following stops when we start editing ourselves, or when the followed user leaves.
+ */
+export default class FollowMode {
+
+    /**
+     * @param {Workspace} workspace - The workspace to follow in
+     */
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.user = null;
+        this.watcher = null;
+        this.highlightMs = 2000;
+        this.highlightTimer = null;
+    }
+
+    /**
+     * Start following a user, jumping to where they are right away.
+     * @param {Object} user
+     */
+    start(user) {
+        this.stop();
+        this.user = user;
+        this.commit('setFollowing', user.id);
+
+        this.watcher = Statamic.$store.watch(
+            state => state.collaboration[this.workspace.channelName].focus[user.id]?.path,
+            path => path && this.jump(path)
+        );
+
+        const focus = Statamic.$store.state.collaboration[this.workspace.channelName].focus[user.id];
+        if (focus) this.jump(focus.path || focus.handle);
+
+        Statamic.$toast.info(`Following ${user.name}. Start editing to stop.`, { duration: 3000 });
+    }
+
+    /**
+     * Stop following.
+     */
+    stop() {
+        if (!this.user) return;
+
+        this.watcher?.();
+        this.watcher = null;
+        this.user = null;
+        this.commit('setFollowing', null);
+    }
+
+    /**
+     * Stop following a user who left the entry.
+     * @param {Object} user
+     */
+    userLeft(user) {
+        if (this.user?.id !== user.id) return;
+
+        Statamic.$toast.info(`${user.name} has left, no longer following.`, { duration: 2000 });
+        this.stop();
+    }
+
+    /**
+     * Show a field: open its tab, scroll it into view and highlight it.
+     * @param {string} path - The field handle, or the path of a set
+     */
+    jump(path) {
+        const handle = path.split('.')[0];
+        const tab = this.workspace.tabOf(handle);
+        if (tab) this.selectTab(tab);
+
+        // The tab's fields are shown on the next render
+        Vue.nextTick(() => {
+            const root = this.workspace.container.$el;
+            const el = fieldElementForPath(root, path, this.workspace.values) || fieldElement(root, handle);
+            if (!el) return;
+
+            el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+            clearTimeout(this.highlightTimer);
+            root.querySelectorAll('.collaboration-followed').forEach(other => other.classList.remove('collaboration-followed'));
+            el.classList.add('collaboration-followed');
+            this.highlightTimer = setTimeout(() => el.classList.remove('collaboration-followed'), this.highlightMs);
+        });
+    }
+
+    /**
+     * Open a tab of the publish form, by clicking its tab button.
+     * Buttons are matched by the tab handle in their id, or else by position.
+     * @param {string} tab - The tab handle
+     */
+    selectTab(tab) {
+        const root = this.workspace.container.$el;
+        const buttons = Array.from(root?.querySelectorAll('[role="tab"]') || []);
+        if (!buttons.length) return;
+
+        const matches = value => value && new RegExp(`(^|[^a-z0-9_])${tab}([^a-z0-9_]|$)`, 'i').test(value);
+        const button = buttons.find(el => matches(el.id) || matches(el.getAttribute('aria-controls')))
+            || buttons[this.workspace.tabIndexOf(tab)];
+
+        if (button && button.getAttribute('aria-selected') !== 'true') button.click();
+    }
+
+    /**
+     * Stop following and clean up.
+     */
+    destroy() {
+        clearTimeout(this.highlightTimer);
+        this.watcher?.();
+    }
+
+    /**
+     * @param {string} mutation
+     * @param {*} payload
+     */
+    commit(mutation, payload) {
+        Statamic.$store.commit(`collaboration/${this.workspace.channelName}/${mutation}`, payload);
+    }
+}
@@ -0,0 +1,274 @@
+/**
+ * LocalTransport Class
+ *
+ * Base class of transports that don't need a broadcasting server: workspaces exchange
+ * messages over a local bus instead (a BroadcastChannel, or an in-memory hub). The
+ * joined channels mimic Echo presence channels:
+ *
+ * - Every channel instance announces itself when joining, and the instances already
+ *   there reply, so here() receives the members present after a short discovery
+ * - Members are users: joining() and leaving() are called when the first window of
+ *   a user joins and the last one leaves, like presence channels do
+ * - Whispers are delivered to every other channel instance, never back to the sender
+ * - There's no server to broadcast events, so the window that caused one passes it on
+ *   with dispatch(), and listen() receives it in every window (the sender included)
+ *
+ * Subclasses implement createBus(name), returning { post(message), onMessage(callback), close() }.
+ */
+export default class LocalTransport {
+
+    /**
+     * @param {Object} user - The current user (defaults to the logged in CP user)
+     */
+    constructor(user = null) {
+        this.user = user || Statamic.user;
+        this.channels = {};
+
+        // How long to wait for other instances to answer before calling here()
+        this.discoveryMs = 100;
+    }
+
+    /**
+     * Create the message bus of a channel.
+     * @param {string} name - The channel name
+     * @returns {Object} { post(message), onMessage(callback), close() }
+     */
+    createBus(name) {
+        throw new Error(`${this.constructor.name} must implement createBus()`);
+    }
+
+    /**
+     * Join a channel.
+     * @param {string} name - The channel name
+     * @returns {LocalChannel}
+     */
+    join(name) {
+        if (!this.channels[name]) {
+            this.channels[name] = new LocalChannel(this.createBus(name), this.user, this.discoveryMs);
+        }
+        return this.channels[name];
+    }
+
+    /**
+     * Leave a channel.
+     * @param {string} name - The channel name
+     */
+    leave(name) {
+        if (!this.channels[name]) return;
+        this.channels[name].leave();
+        delete this.channels[name];
+    }
+
+    /**
+     * Local buses are always available.
+     * @returns {boolean}
+     */
+    isConnected() {
+        return true;
+    }
+
+    /**
+     * Local buses never disconnect, so there's nothing to fall back from.
+     * @returns {boolean}
+     */
+    degrade() {
+        return false;
+    }
+
+    /**
+     * Local buses never disconnect, so there are no reconnects to report.
+     * @param {Function} callback
+     */
+    onConnected(callback) {
+        //
+    }
+
+    /**
+     * @param {Function} callback
+     */
+    offConnected(callback) {
+        //
+    }
+}
+
+/**
+ * A joined channel on a local bus, with the API of an Echo presence channel.
+ */
+class LocalChannel {
+
+    /**
+     * @param {Object} bus - The message bus
+     * @param {Object} user - The current user
+     * @param {number} discoveryMs - How long to wait for other instances before calling here()
+     */
+    constructor(bus, user, discoveryMs) {
+        this.bus = bus;
+        this.user = user;
+        this.instanceId = Math.random().toString(36).slice(2);
+
+        // Members keyed by instance id (one per window), including ourselves
+        this.members = { [this.instanceId]: user };
+
+        this.callbacks = { here: [], joining: [], leaving: [] };
+        this.whisperListeners = {};
+        this.eventListeners = {};
+        this.present = false;
+        this.left = false;
+
+        this.bus.onMessage(message => this.receive(message));
+        this.bus.post({ type: 'join', from: this.instanceId, user });
+
+        setTimeout(() => {
+            if (this.left) return;
+            this.present = true;
+            this.callbacks.here.forEach(callback => callback(this.users()));
+        }, discoveryMs);
+    }
+
+    /**
+     * Get the unique users present in the channel.
+     * @returns {Object[]}
+     */
+    users() {
+        const users = {};
+        Object.values(this.members).forEach(user => users[user.id] = user);
+        return Object.values(users);
+    }
+
+    /**
+     * Check if a user has a window in the channel.
+     * @param {Object} user
+     * @returns {boolean}
+     */
+    hasUser(user) {
+        return Object.values(this.members).some(member => member.id === user.id);
+    }
+
+    /**
+     * Handle a message from another instance.
+     * @param {Object} message
+     */
+    receive(message) {
+        const { type, from, to, user } = message;
+
+        if (this.left || from === this.instanceId) return;
+        if (to && to !== this.instanceId) return;
+
+        switch (type) {
+            case 'join':
+            case 'present': {
+                const isNewUser = !this.hasUser(user);
+                this.members[from] = user;
+
+                // Answer so the new instance knows about us
+                if (type === 'join') this.bus.post({ type: 'present', from: this.instanceId, to: from, user: this.user });
+
+                if (isNewUser && this.present) this.callbacks.joining.forEach(callback => callback(user));
+                break;
+            }
+
+            case 'leave': {
+                const member = this.members[from];
+                if (!member) return;
+
+                delete this.members[from];
+                if (!this.hasUser(member)) this.callbacks.leaving.forEach(callback => callback(member));
+                break;
+            }
+
+            case 'whisper':
+                (this.whisperListeners[message.event] || []).forEach(callback => callback(message.data));
+                break;
+
+            case 'event':
+                (this.eventListeners[message.event] || []).forEach(callback => callback(message.data));
+                break;
+        }
+    }
+
+    /**
+     * @param {Function} callback - Called with the users present once joined
+     * @returns {LocalChannel}
+     */
+    here(callback) {
+        this.callbacks.here.push(callback);
+        if (this.present) callback(this.users());
+        return this;
+    }
+
+    /**
+     * @param {Function} callback - Called with a user whose first window joined
+     * @returns {LocalChannel}
+     */
+    joining(callback) {
+        this.callbacks.joining.push(callback);
+        return this;
+    }
+
+    /**
+     * @param {Function} callback - Called with a user whose last window left
+     * @returns {LocalChannel}
+     */
+    leaving(callback) {
+        this.callbacks.leaving.push(callback);
+        return this;
+    }
+
+    /**
+     * Send an event to the other instances.
+     * @param {string} event
+     * @param {Object} data
+     * @returns {LocalChannel}
+     */
+    whisper(event, data) {
+        if (this.left) return this;
+        this.bus.post({ type: 'whisper', from: this.instanceId, event, data });
+        return this;
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {LocalChannel}
+     */
+    listenForWhisper(event, callback) {
+        (this.whisperListeners[event] ||= []).push(callback);
+        return this;
+    }
+
+    /**
+     * Listen for events passed on with dispatch(), standing in for the events a server would broadcast.
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {LocalChannel}
+     */
+    listen(event, callback) {
+        (this.eventListeners[event] ||= []).push(callback);
+        return this;
+    }
+
+    /**
+     * Pass on an event the server would broadcast, to every instance including this one.
+     * @param {string} event
+     * @param {Object} data
+     * @returns {LocalChannel}
+     */
+    dispatch(event, data) {
+        if (this.left) return this;
+        this.bus.post({ type: 'event', from: this.instanceId, event, data });
+        (this.eventListeners[event] || []).forEach(callback => callback(data));
+        return this;
+    }
+
+    /**
+     * Announce our departure and close the bus.
+     */
+    leave() {
+        this.bus.post({ type: 'leave', from: this.instanceId });
+        this.bus.close();
+        this.left = true;
+        this.callbacks = { here: [], joining: [], leaving: [] };
+        this.whisperListeners = {};
+        this.eventListeners = {};
+    }
+}
@@ -1,28 +1,42 @@
+import CollaborationApi from './CollaborationApi';
 import Workspace from './Workspace';
+import { profileFor } from './Profile';
 
 export default class Manager {
 
     constructor() {
-        this.echo = null;
+        this.transport = null;
         this.workspaces = {};
+        this.api = new CollaborationApi(this);
     }
 
     boot() {
-        if (! this.echo) return;
+        if (! this.transport) return;
+
+        if (this.api.transport !== this.transport) {
+            this.api.transport = this.transport;
+            this.api.watch(this.transport);
+        }
 
         Object.values(this.workspaces).forEach(workspace => {
-            workspace.echo = this.echo;
+            workspace.transport = this.transport;
             workspace.start();
         });
     }
 
     addWorkspace(container) {
+        // Collaboration can be switched off for a collection or blueprint
+        if (! profileFor(container).enabled) return;
+
         const workspace = new Workspace(container);
+        workspace.api = this.api;
         this.workspaces[container.name] = workspace;
         this.boot();
     }
 
     destroyWorkspace(container) {
+        if (! this.workspaces[container.name]) return;
+
         this.workspaces[container.name].destroy();
         delete this.workspaces[container.name];
     }
@@ -0,0 +1,57 @@
+import LocalTransport from './LocalTransport';
+
+/**
+ * MemoryTransport Class
+ *
+ * Connects workspaces living in the same JavaScript context through an in-memory hub.
+ * Give each workspace its own transport (with its own user) sharing one hub, to
+ * exercise the collaboration logic without a WebSocket server:
+ *
+ *     const hub = MemoryTransport.createHub();
+ *     alice.transport = new MemoryTransport(aliceUser, hub);
+ *     bob.transport = new MemoryTransport(bobUser, hub);
+ *
+ * Messages are delivered asynchronously and copied, like they would be over a network.
+ */
+export default class MemoryTransport extends LocalTransport {
+
+    /**
+     * @param {Object} user - The user of this transport (defaults to the logged in CP user)
+     * @param {Object} hub - The hub shared by the connected transports
+     */
+    constructor(user = null, hub = MemoryTransport.defaultHub) {
+        super(user);
+        this.hub = hub;
+    }
+
+    /**
+     * Create a hub to connect transports through.
+     * @returns {Object} Subscribers keyed by channel name
+     */
+    static createHub() {
+        return {};
+    }
+
+    /**
+     * @param {string} name - The channel name
+     * @returns {Object} The message bus
+     */
+    createBus(name) {
+        const subscribers = this.hub[name] ||= new Set();
+        const subscriber = { callback: () => {} };
+        subscribers.add(subscriber);
+
+        return {
+            post: message => {
+                const copy = JSON.stringify(message);
+                subscribers.forEach(other => {
+                    if (other !== subscriber) setTimeout(() => other.callback(JSON.parse(copy)), 0);
+                });
+            },
+            onMessage: callback => subscriber.callback = callback,
+            close: () => subscribers.delete(subscriber),
+        };
+    }
+}
+
+MemoryTransport.defaultHub = MemoryTransport.createHub();
@@ -0,0 +1,211 @@
+/**
+ * OfflineQueue Class
+ *
+ * Keeps changes that haven't been persisted to the server yet in IndexedDB, so they
+ * survive the tab being closed while offline. Changes are written while editing (at
+ * most once per sync interval), so nothing needs to be written while the tab is closing.
+ * There is one record per window and field, keyed by entry reference, site, window id
+ * and field handle, replaced whenever the field is written again. Records are numbered
+ * in the order they were written, and removed once a persist including them succeeded.
+ *
+ * Records left behind by windows that were closed before reaching the server
+ * are offered for recovery the next time the entry is opened, until they expire
+ * along with the cached state.
+ *
+ * All methods fail silently (resolving to empty results) when IndexedDB is unavailable.
+ */
+export default class OfflineQueue {
+
+    /**
+     * @param {string} reference - The entry reference
+     * @param {string} site - The site handle
+     * @param {string} windowId - The id of the window owning this queue
+     */
+    constructor(reference, site, windowId) {
+        this.reference = reference;
+        this.site = site;
+        this.windowId = windowId;
+        this.dbName = 'statamic-collaboration';
+        this.storeName = 'pending-changes';
+        this.db = null;
+
+        // Number of this window's latest write
+        this.sequence = 0;
+
+        // Records expire along with the cached state on the server (44000 seconds)
+        this.ttl = 44000 * 1000;
+    }
+
+    /**
+     * The key of this window's record of a field.
+     * @param {string} handle - The field handle
+     * @returns {string}
+     */
+    key(handle) {
+        return `${this.reference}|${this.site}|${this.windowId}|${handle}`;
+    }
+
+    /**
+     * The range of this window's record keys.
+     * @returns {IDBKeyRange}
+     */
+    ownRange() {
+        const prefix = `${this.reference}|${this.site}|${this.windowId}|`;
+
+        return IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+    }
+
+    /**
+     * Open (and create if needed) the database.
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                store.createIndex('entry', ['reference', 'site']);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a request against the object store.
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    async request(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = callback(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run several requests against the object store in one transaction.
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the store
+     * @returns {Promise<void>} Resolved once the transaction completed
+     */
+    async transaction(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store unsynced changes of this window, replacing the previous records of the same fields.
+     * @param {Object} values - Unsynced field values keyed by handle
+     * @param {Object} meta - Unsynced field meta keyed by handle
+     * @returns {Promise<number>} The number of this write
+     */
+    async save(values, meta) {
+        const sequence = ++this.sequence;
+        const updatedAt = Date.now();
+
+        values = JSON.parse(JSON.stringify(values));
+        meta = JSON.parse(JSON.stringify(meta));
+
+        const records = [...new Set([...Object.keys(values), ...Object.keys(meta)])].map(handle => ({
+            key: this.key(handle),
+            reference: this.reference,
+            site: this.site,
+            windowId: this.windowId,
+            sequence,
+            updatedAt,
+            values: handle in values ? { [handle]: values[handle] } : {},
+            meta: handle in meta ? { [handle]: meta[handle] } : {},
+        }));
+
+        try {
+            await this.transaction('readwrite', store => records.forEach(record => store.put(record)));
+        } catch (error) {
+            // IndexedDB unavailable (e.g. private browsing), changes only live in memory
+        }
+
+        return sequence;
+    }
+
+    /**
+     * Get all records for this entry, oldest first. Expired records are removed.
+     * @returns {Promise<Object[]>}
+     */
+    async all() {
+        try {
+            const records = await this.request('readonly', store => {
+                return store.index('entry').getAll([this.reference, this.site]);
+            });
+
+            const expired = records.filter(record => Date.now() - record.updatedAt > this.ttl);
+            expired.forEach(record => this.remove(record.key));
+
+            return records
+                .filter(record => !expired.includes(record))
+                .sort((a, b) => a.updatedAt - b.updatedAt || (a.sequence || 0) - (b.sequence || 0));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Get this window's records, in the order they were written.
+     * @returns {Promise<Object[]>}
+     */
+    async own() {
+        try {
+            const records = await this.request('readonly', store => store.getAll(this.ownRange()));
+            return records.sort((a, b) => a.sequence - b.sequence);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Delete this window's records written up to (and including) a write.
+     * Fields written again since then keep their newer record.
+     * @param {number} sequence - The number of the write
+     */
+    async removeUpTo(sequence) {
+        try {
+            await this.transaction('readwrite', store => {
+                store.openCursor(this.ownRange()).onsuccess = ({ target }) => {
+                    const cursor = target.result;
+                    if (!cursor) return;
+                    if (cursor.value.sequence <= sequence) cursor.delete();
+                    cursor.continue();
+                };
+            });
+        } catch (error) {
+            // Nothing to clean up
+        }
+    }
+
+    /**
+     * Delete a record, e.g. one left behind by a closed window.
+     * @param {string} key - The record key
+     */
+    async remove(key) {
+        try {
+            await this.request('readwrite', store => store.delete(key));
+        } catch (error) {
+            // Nothing to clean up
+        }
+    }
+}
@@ -0,0 +1,244 @@
+/**
+ * PollingChannel Class
+ *
+ * A channel over plain HTTP, for windows that can't open a WebSocket. It has the API
+ * of an Echo presence channel, backed by the collaboration events endpoint:
+ *
+ * - While started, the endpoint is polled for the members present (here, joining,
+ *   leaving) and for whispers posted by other windows since the last poll
+ * - Polling doubles as the heartbeat keeping this window in the member list
+ * - Whispers are posted to the endpoint, which can relay them to the WebSocket channel
+ * - Events broadcast by the server (like force unlocks) are kept by the endpoint too,
+ *   and delivered to listen() callbacks
+ */
+export default class PollingChannel {
+
+    /**
+     * @param {string} name - The channel name ("{reference}.{site}")
+     * @param {string} member - The id of this window in the member list
+     * @param {number} timeout - How long requests may take, in ms
+     */
+    constructor(name, member, timeout) {
+        const index = name.lastIndexOf('.');
+        const cpUrl = Statamic.$config.get('cpUrl') || '/cp';
+
+        this.url = `${cpUrl}/collaboration/events/${name.slice(0, index)}/${name.slice(index + 1)}`;
+        this.member = member;
+        this.interval = 2000;
+
+        // Requests taking longer are aborted, so a hung poll doesn't stop polling
+        this.timeout = timeout;
+
+        // Id of the last event received (null until the first poll)
+        this.lastId = null;
+
+        // Users present as of the last poll (null until the first poll)
+        this.users = null;
+
+        this.callbacks = { here: [], joining: [], leaving: [] };
+        this.whisperListeners = {};
+        this.eventListeners = {};
+
+        this.polling = false;
+        this.timer = null;
+        this.failed = false;
+    }
+
+    /**
+     * Start polling. The first poll calls here() with the members present.
+     */
+    start() {
+        if (this.polling) return;
+
+        this.polling = true;
+        this.lastId = null;
+        this.users = null;
+        this.poll();
+    }
+
+    /**
+     * Stop polling.
+     */
+    stop() {
+        this.polling = false;
+        clearTimeout(this.timer);
+    }
+
+    /**
+     * Poll the endpoint, then schedule the next poll.
+     */
+    async poll() {
+        if (!this.polling) return;
+
+        try {
+            const params = new URLSearchParams({ member: this.member });
+            if (this.lastId !== null) params.set('after', this.lastId);
+
+            const data = await this.request('GET', `${this.url}?${params}`);
+            if (!this.polling) return;
+
+            this.receive(data);
+            this.failed = false;
+        } catch (error) {
+            this.failed = true;
+        }
+
+        if (this.polling) {
+            this.timer = setTimeout(() => this.poll(), this.interval);
+        }
+    }
+
+    /**
+     * Handle a poll response.
+     * @param {Object} data - { members, events, last_id }
+     */
+    receive({ members, events, last_id: lastId }) {
+        const users = {};
+        members.forEach(user => users[user.id] = user);
+
+        if (this.users === null) {
+            this.users = Object.values(users);
+            this.callbacks.here.forEach(callback => callback(this.users));
+        } else {
+            const before = this.users;
+            this.users = Object.values(users);
+
+            this.users.filter(user => !before.some(other => other.id === user.id))
+                .forEach(user => this.callbacks.joining.forEach(callback => callback(user)));
+            before.filter(user => !users[user.id])
+                .forEach(user => this.callbacks.leaving.forEach(callback => callback(user)));
+        }
+
+        events.forEach(({ event, data, broadcast }) => {
+            const listeners = broadcast ? this.eventListeners : this.whisperListeners;
+            (listeners[event] || []).forEach(callback => callback(data));
+        });
+
+        this.lastId = lastId;
+    }
+
+    /**
+     * Post a whisper to the endpoint.
+     * @param {string} event
+     * @param {Object} data
+     * @param {Object} options - Options (relay: also broadcast it to the WebSocket channel)
+     * @returns {Promise}
+     */
+    post(event, data, { relay = false } = {}) {
+        return this.request('POST', this.url, { member: this.member, event, data, relay });
+    }
+
+    /**
+     * @param {Function} callback - Called with the users present after the first poll
+     * @returns {PollingChannel}
+     */
+    here(callback) {
+        this.callbacks.here.push(callback);
+        return this;
+    }
+
+    /**
+     * @param {Function} callback - Called with a user who appeared in the member list
+     * @returns {PollingChannel}
+     */
+    joining(callback) {
+        this.callbacks.joining.push(callback);
+        return this;
+    }
+
+    /**
+     * @param {Function} callback - Called with a user who disappeared from the member list
+     * @returns {PollingChannel}
+     */
+    leaving(callback) {
+        this.callbacks.leaving.push(callback);
+        return this;
+    }
+
+    /**
+     * Post a whisper, relayed to the WebSocket channel.
+     * @param {string} event
+     * @param {Object} data
+     * @returns {PollingChannel}
+     */
+    whisper(event, data) {
+        this.post(event, data, { relay: true }).catch(() => {});
+        return this;
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {PollingChannel}
+     */
+    listenForWhisper(event, callback) {
+        (this.whisperListeners[event] ||= []).push(callback);
+        return this;
+    }
+
+    /**
+     * Listen for events broadcast by the server, by their broadcast name (e.g. ".collaboration.force-unlocked").
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {PollingChannel}
+     */
+    listen(event, callback) {
+        (this.eventListeners[event.replace(/^\./, '')] ||= []).push(callback);
+        return this;
+    }
+
+    /**
+     * Stop polling and remove this window from the member list.
+     */
+    leave() {
+        this.stop();
+        this.request('DELETE', `${this.url}?${new URLSearchParams({ member: this.member })}`).catch(() => {});
+    }
+
+    /**
+     * Send a request to the events endpoint.
+     * Uses keepalive, so whispers and leaving still get through when the page is closing.
+     * Aborts the request if it takes longer than the timeout.
+     * @param {string} method
+     * @param {string} url
+     * @param {Object|null} body
+     * @returns {Promise<Object>} The response data
+     */
+    async request(method, url, body = null) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await this.send(method, url, body, controller.signal);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} url
+     * @param {Object|null} body
+     * @param {AbortSignal} signal
+     * @returns {Promise<Object>} The response data
+     */
+    async send(method, url, body, signal) {
+        const response = await fetch(url, {
+            method,
+            signal,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+                'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]')?.content || Statamic.$config.get('csrfToken'),
+            },
+            credentials: 'same-origin',
+            keepalive: method !== 'GET',
+            body: body ? JSON.stringify(body) : null,
+        });
+
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        return response.json();
+    }
+}
@@ -0,0 +1,64 @@
+/**
+ * Collaboration profile helpers
+ *
+ * A profile holds the timings (and the whisper chunk size) used for an entry, from the
+ * "defaults" in config/collaboration.php, overridden by the entry's collection and then
+ * by its blueprint within that collection. A collection or blueprint can also switch
+ * collaboration off entirely.
+ */
+
+// Used for settings missing from the published config (e.g. an older config file)
+const DEFAULTS = {
+    sync_interval: 3000,
+    field_unlock_delay: 3000,
+    field_inactivity_timeout: 30000,
+    inactivity_timeout: 12 * 60 * 60 * 1000,
+    api_timeout: 4000,
+    warm_up_duration: 5000,
+    edit_request_timeout: 15000,
+    chunk_size: 2500,
+};
+
+/**
+ * Get the handle of the collection an entry's publish container belongs to.
+ * The entry publish form passes it as a prop; otherwise it's read from the CP URL.
+ * @param {Object} container - The Statamic publish container instance
+ * @returns {string|null}
+ */
+export function collectionOf(container) {
+    for (let parent = container.$parent; parent; parent = parent.$parent) {
+        if (parent.collectionHandle) return parent.collectionHandle;
+    }
+
+    return window.location.pathname.match(/\/collections\/([^/]+)\/entries\//)?.[1] || null;
+}
+
+/**
+ * Get the handle of the blueprint of a publish container.
+ * @param {Object} container - The Statamic publish container instance
+ * @returns {string|null}
+ */
+export function blueprintOf(container) {
+    return container.blueprint?.handle
+        || Statamic.$store.state.publish?.[container.name]?.blueprint?.handle
+        || null;
+}
+
+/**
+ * Resolve the profile of a publish container.
+ * @param {Object} container - The Statamic publish container instance
+ * @returns {Object} The settings keyed as in the config, plus "enabled"
+ */
+export function profileFor(container) {
+    const config = Statamic.$config.get('collaboration') || {};
+    const { blueprints = {}, ...collection } = config.collections?.[collectionOf(container)] || {};
+    const blueprint = blueprints[blueprintOf(container)] || {};
+
+    return {
+        ...DEFAULTS,
+        ...config.defaults,
+        ...collection,
+        ...blueprint,
+        enabled: blueprint.enabled ?? collection.enabled ?? true,
+    };
+}
@@ -0,0 +1,385 @@
+import { pathFromElement, fieldElementForPath } from './FieldPath';
+
+// Styles copied to the mirror element used to measure caret positions in inputs
+const MIRRORED_STYLES = [
+    'boxSizing', 'width', 'height', 'overflowX', 'overflowY',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'lineHeight', 'fontFamily',
+    'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize', 'wordWrap',
+];
+
+/**
+ * RemoteCursors Class
+ *
+ * Shows where other users are working inside fields: their caret and text selection
+ * in text inputs, textareas and Bard, coloured per user and labelled with their initials.
+ *
+ * - The local selection is whispered as "cursor" events (field path plus text offsets),
+ *   throttled so typing doesn't flood the channel
+ * - Remote cursors are drawn in a fixed overlay above the publish form, and re-measured
+ *   on scroll, resize and input, since the text around them may move
+ * - A cursor is removed when its user blurs the field or leaves the entry
+ */
+export default class RemoteCursors {
+
+    /**
+     * @param {Workspace} workspace - The workspace the cursors belong to
+     */
+    constructor(workspace) {
+        this.workspace = workspace;
+
+        // Remote cursors keyed by window id: { user, path, start, end }
+        this.cursors = {};
+
+        // Throttle for sending our own cursor
+        this.throttleMs = 150;
+        this.throttleTimer = null;
+        this.lastSent = null;
+
+        // Re-measure periodically while remote cursors exist (text may move without events)
+        this.refreshIntervalMs = 500;
+        this.refreshTimer = null;
+
+        this.overlay = null;
+    }
+
+    /**
+     * Register the whisper listener and DOM listeners for the local selection.
+     */
+    listen() {
+        this.workspace.listenForWhisper('cursor', payload => this.receive(payload));
+
+        this.selectionHandler = () => this.scheduleSend();
+        document.addEventListener('selectionchange', this.selectionHandler);
+
+        this.renderHandler = () => this.render();
+        window.addEventListener('scroll', this.renderHandler, true);
+        window.addEventListener('resize', this.renderHandler);
+        document.addEventListener('input', this.renderHandler);
+    }
+
+    /**
+     * Send our cursor after the throttle delay (trailing, so the final position is always sent).
+     */
+    scheduleSend() {
+        if (this.throttleTimer) return;
+
+        this.throttleTimer = setTimeout(() => {
+            this.throttleTimer = null;
+            this.send();
+        }, this.throttleMs);
+    }
+
+    /**
+     * Whisper our current caret/selection if it is inside a field and has changed.
+     */
+    send() {
+        const handle = this.workspace.currentFocusedField;
+
+        // Others drop our cursor when we blur, so it has to be sent again on the next focus
+        if (!handle) {
+            this.lastSent = null;
+            return;
+        }
+
+        // Others don't see the text of fields kept out of collaboration
+        if (!this.workspace.isCollaborative(handle)) return;
+
+        const selection = this.localSelection();
+        if (!selection) return;
+
+        const path = pathFromElement(selection.element, this.workspace.container.$el, handle, this.workspace.values);
+        const cursor = { path, start: selection.start, end: selection.end };
+        if (JSON.stringify(cursor) === JSON.stringify(this.lastSent)) return;
+
+        this.lastSent = cursor;
+        this.workspace.whisper('cursor', {
+            ...cursor,
+            user: this.workspace.user,
+            windowId: this.workspace.windowId,
+        });
+    }
+
+    /**
+     * Get the local selection as text offsets within the focused input or Bard editor.
+     * @returns {{element: HTMLElement, start: number, end: number}|null}
+     */
+    localSelection() {
+        const el = document.activeElement;
+        if (!el || !this.workspace.container.$el?.contains(el)) return null;
+
+        if (['INPUT', 'TEXTAREA'].includes(el.tagName) && typeof el.selectionStart === 'number') {
+            return { element: el, start: el.selectionStart, end: el.selectionEnd };
+        }
+
+        const editor = el.closest('.ProseMirror');
+        const selection = window.getSelection();
+        if (!editor || !selection.rangeCount) return null;
+
+        const range = selection.getRangeAt(0);
+        if (!editor.contains(range.startContainer)) return null;
+
+        return {
+            element: editor,
+            start: this.textOffset(editor, range.startContainer, range.startOffset),
+            end: this.textOffset(editor, range.endContainer, range.endOffset),
+        };
+    }
+
+    /**
+     * Convert a DOM position into a text offset from the start of the editor.
+     * @param {HTMLElement} editor - The contenteditable element
+     * @param {Node} node - The container node of the position
+     * @param {number} offset - The offset within the node
+     * @returns {number}
+     */
+    textOffset(editor, node, offset) {
+        const range = document.createRange();
+        range.setStart(editor, 0);
+        range.setEnd(node, offset);
+        return range.toString().length;
+    }
+
+    /**
+     * Convert a text offset back into a DOM position within the editor.
+     * @param {HTMLElement} editor - The contenteditable element
+     * @param {number} offset - The text offset
+     * @returns {{node: Node, offset: number}}
+     */
+    domPosition(editor, offset) {
+        const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+        let remaining = offset;
+        let node = walker.nextNode();
+        let last = null;
+
+        while (node) {
+            if (remaining <= node.length) return { node, offset: remaining };
+            remaining -= node.length;
+            last = node;
+            node = walker.nextNode();
+        }
+
+        return last ? { node: last, offset: last.length } : { node: editor, offset: 0 };
+    }
+
+    /**
+     * Store a remote cursor and redraw.
+     * @param {Object} payload - The whisper payload with user, windowId, path, start and end
+     */
+    receive({ user, windowId, path, start, end }) {
+        if (windowId === this.workspace.windowId || user.id === this.workspace.user.id) return;
+
+        this.cursors[windowId] = { user, path, start, end };
+        this.startRefreshing();
+        this.render();
+    }
+
+    /**
+     * Remove the cursor of a window.
+     * @param {string} windowId - The window id
+     */
+    remove(windowId) {
+        if (!this.cursors[windowId]) return;
+        delete this.cursors[windowId];
+        this.render();
+    }
+
+    /**
+     * Remove all cursors of a user (e.g. when they leave the entry).
+     * @param {Object} user - The user object
+     */
+    removeUser(user) {
+        Object.keys(this.cursors).forEach(windowId => {
+            if (this.cursors[windowId].user.id === user.id) delete this.cursors[windowId];
+        });
+        this.render();
+    }
+
+    /**
+     * Re-measure cursors periodically while there are any.
+     */
+    startRefreshing() {
+        if (this.refreshTimer) return;
+
+        this.refreshTimer = setInterval(() => {
+            if (!Object.keys(this.cursors).length) {
+                clearInterval(this.refreshTimer);
+                this.refreshTimer = null;
+            }
+            this.render();
+        }, this.refreshIntervalMs);
+    }
+
+    /**
+     * Draw all remote cursors in the overlay.
+     */
+    render() {
+        if (!this.overlay) {
+            if (!Object.keys(this.cursors).length) return;
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'collaboration-cursors';
+            document.body.appendChild(this.overlay);
+        }
+
+        this.overlay.innerHTML = '';
+
+        Object.values(this.cursors).forEach(cursor => {
+            const field = fieldElementForPath(this.workspace.container.$el, cursor.path, this.workspace.values);
+            const target = field?.querySelector('textarea, input:not([type=hidden]), .ProseMirror');
+            if (!target) return;
+
+            const { caret, selection } = target.classList.contains('ProseMirror')
+                ? this.measureEditor(target, cursor)
+                : this.measureInput(target, cursor);
+
+            const color = this.colorFor(cursor.user);
+
+            selection.forEach(rect => {
+                this.overlay.appendChild(this.box('collaboration-cursor-selection', rect, color));
+            });
+
+            const caretEl = this.box('collaboration-cursor-caret', { ...caret, width: 2 }, color);
+            const label = document.createElement('span');
+            label.className = 'collaboration-cursor-label';
+            label.style.background = color;
+            label.textContent = cursor.user.initials || cursor.user.name?.charAt(0) || '?';
+            label.title = cursor.user.name;
+            caretEl.appendChild(label);
+            this.overlay.appendChild(caretEl);
+        });
+    }
+
+    /**
+     * Create a positioned overlay element.
+     * @param {string} className - The CSS class
+     * @param {Object} rect - { left, top, width, height } in viewport coordinates
+     * @param {string} color - The user's colour
+     * @returns {HTMLElement}
+     */
+    box(className, rect, color) {
+        const el = document.createElement('div');
+        el.className = className;
+        el.style.left = `${rect.left}px`;
+        el.style.top = `${rect.top}px`;
+        el.style.width = `${rect.width}px`;
+        el.style.height = `${rect.height}px`;
+        el.style.background = color;
+        return el;
+    }
+
+    /**
+     * Measure caret and selection rectangles in a Bard editor.
+     * @param {HTMLElement} editor - The contenteditable element
+     * @param {Object} cursor - The remote cursor
+     * @returns {{caret: Object, selection: Object[]}}
+     */
+    measureEditor(editor, cursor) {
+        const start = this.domPosition(editor, cursor.start);
+        const end = this.domPosition(editor, cursor.end);
+
+        const range = document.createRange();
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+
+        const selection = cursor.start === cursor.end ? [] : Array.from(range.getClientRects());
+
+        range.collapse(false);
+        const rect = range.getClientRects()[0] || range.getBoundingClientRect();
+        const lineHeight = parseFloat(getComputedStyle(editor).lineHeight) || 20;
+
+        return {
+            caret: { left: rect.left, top: rect.top, height: rect.height || lineHeight },
+            selection,
+        };
+    }
+
+    /**
+     * Measure caret and selection rectangles in a text input or textarea.
+     * @param {HTMLInputElement|HTMLTextAreaElement} input - The input element
+     * @param {Object} cursor - The remote cursor
+     * @returns {{caret: Object, selection: Object[]}}
+     */
+    measureInput(input, cursor) {
+        const start = this.inputCaretRect(input, cursor.start);
+        const end = this.inputCaretRect(input, cursor.end);
+        const box = input.getBoundingClientRect();
+        const style = getComputedStyle(input);
+        const innerLeft = box.left + parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft);
+        const innerRight = box.right - parseFloat(style.borderRightWidth) - parseFloat(style.paddingRight);
+
+        const selection = [];
+        if (cursor.start !== cursor.end) {
+            if (start.top === end.top) {
+                selection.push({ left: start.left, top: start.top, width: end.left - start.left, height: start.height });
+            } else {
+                // First line to the right edge, full middle lines, last line from the left edge
+                selection.push({ left: start.left, top: start.top, width: innerRight - start.left, height: start.height });
+                if (end.top - start.top > start.height) {
+                    selection.push({ left: innerLeft, top: start.top + start.height, width: innerRight - innerLeft, height: end.top - start.top - start.height });
+                }
+                selection.push({ left: innerLeft, top: end.top, width: end.left - innerLeft, height: end.height });
+            }
+        }
+
+        return { caret: end, selection };
+    }
+
+    /**
+     * Measure the caret position at a text offset in an input, using a hidden mirror element
+     * with the same text layout.
+     * @param {HTMLInputElement|HTMLTextAreaElement} input - The input element
+     * @param {number} position - The text offset
+     * @returns {{left: number, top: number, height: number}} Viewport coordinates
+     */
+    inputCaretRect(input, position) {
+        const style = getComputedStyle(input);
+        const mirror = document.createElement('div');
+
+        MIRRORED_STYLES.forEach(property => mirror.style[property] = style[property]);
+        mirror.style.position = 'absolute';
+        mirror.style.visibility = 'hidden';
+        mirror.style.top = '0';
+        mirror.style.left = '-9999px';
+        mirror.style.whiteSpace = input.tagName === 'TEXTAREA' ? 'pre-wrap' : 'pre';
+        mirror.textContent = input.value.slice(0, position);
+
+        const marker = document.createElement('span');
+        marker.textContent = input.value.slice(position) || '.';
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const box = input.getBoundingClientRect();
+        const rect = {
+            left: box.left + parseFloat(style.borderLeftWidth) + marker.offsetLeft - input.scrollLeft,
+            top: box.top + parseFloat(style.borderTopWidth) + marker.offsetTop - input.scrollTop,
+            height: parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2,
+        };
+
+        mirror.remove();
+        return rect;
+    }
+
+    /**
+     * Get a stable colour for a user.
+     * @param {Object} user - The user object
+     * @returns {string} A CSS colour
+     */
+    colorFor(user) {
+        const hash = String(user.id).split('').reduce((acc, ch) => (acc * 31 + ch.charCodeAt(0)) >>> 0, 0);
+        return `hsl(${hash % 360}, 70%, 45%)`;
+    }
+
+    /**
+     * Remove listeners, timers and the overlay.
+     */
+    destroy() {
+        document.removeEventListener('selectionchange', this.selectionHandler);
+        window.removeEventListener('scroll', this.renderHandler, true);
+        window.removeEventListener('resize', this.renderHandler);
+        document.removeEventListener('input', this.renderHandler);
+        clearTimeout(this.throttleTimer);
+        clearInterval(this.refreshTimer);
+        this.overlay?.remove();
+    }
+}
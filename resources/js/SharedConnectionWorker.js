@@ -0,0 +1,199 @@
+import Echo from 'laravel-echo';
+import Pusher from 'pusher-js/worker';
+
+/**
+ * Shared connection worker
+ *
+ * Owns a single Echo connection for all the tabs of a browser (see SharedWorkerTransport).
+ * Each tab connects through a port; the worker joins every channel once, and multiplexes
+ * presence events, whispers and server events to the ports of the tabs that joined it.
+ *
+ * Whispers are never delivered back over the socket to the connection that sent them,
+ * so the worker also delivers them to the other tabs on the same channel itself.
+ */
+
+let echo = null;
+let connectionState = 'initialized';
+
+// Connected tabs: port => { lastSeen }
+const ports = new Map();
+
+// Joined channels: name => { echoChannel, ports, members, whispers: event => ports, events: event => ports }
+const channels = {};
+
+// Tabs ping every 10 seconds, ports silent for longer than this belong to closed (or crashed) tabs
+const PORT_TIMEOUT_MS = 30000;
+
+/**
+ * Create the Echo connection, with the options of the first tab's Echo instance.
+ * @param {Object} options
+ */
+function connect(options) {
+    if (echo) return;
+
+    const client = new Pusher(options.key, { ...options, cluster: options.cluster || '' });
+    echo = new Echo({ ...options, client });
+
+    client.connection.bind('state_change', ({ previous, current }) => {
+        connectionState = current;
+        ports.forEach((_, port) => port.postMessage({ type: 'connection', previous, current }));
+    });
+    connectionState = client.connection.state;
+}
+
+/**
+ * Send a message to the ports of a channel, optionally except one.
+ * @param {Iterable<MessagePort>} targets
+ * @param {Object} message
+ * @param {MessagePort|null} except
+ */
+function send(targets, message, except = null) {
+    targets.forEach(port => {
+        if (port !== except) port.postMessage(message);
+    });
+}
+
+/**
+ * Join a channel for a tab, joining it over the socket if no other tab did yet.
+ * @param {MessagePort} port
+ * @param {string} name
+ */
+function join(port, name) {
+    if (!channels[name]) {
+        const channel = channels[name] = {
+            echoChannel: echo.join(name),
+            ports: new Set(),
+            members: null,
+            whispers: {},
+            events: {},
+        };
+
+        channel.echoChannel.here(users => {
+            channel.members = users;
+            send(channel.ports, { type: 'here', name, users });
+        });
+        channel.echoChannel.joining(user => {
+            channel.members = [...(channel.members || []).filter(member => member.id !== user.id), user];
+            send(channel.ports, { type: 'joining', name, user });
+        });
+        channel.echoChannel.leaving(user => {
+            channel.members = (channel.members || []).filter(member => member.id !== user.id);
+            send(channel.ports, { type: 'leaving', name, user });
+        });
+    }
+
+    const channel = channels[name];
+    channel.ports.add(port);
+
+    // Tabs joining an already joined channel get the members right away
+    if (channel.members) port.postMessage({ type: 'here', name, users: channel.members });
+}
+
+/**
+ * Leave a channel for a tab, leaving it over the socket when it was the last one.
+ * @param {MessagePort} port
+ * @param {string} name
+ */
+function leave(port, name) {
+    const channel = channels[name];
+    if (!channel) return;
+
+    channel.ports.delete(port);
+    Object.values(channel.whispers).forEach(subscribers => subscribers.delete(port));
+    Object.values(channel.events).forEach(subscribers => subscribers.delete(port));
+
+    if (!channel.ports.size) {
+        echo.leave(name);
+        delete channels[name];
+    }
+}
+
+/**
+ * Subscribe a tab to whispers (or server events) of a channel, listening over the socket once per event.
+ * @param {MessagePort} port
+ * @param {string} name
+ * @param {string} event
+ * @param {string} kind - 'whispers' or 'events'
+ */
+function subscribe(port, name, event, kind) {
+    const channel = channels[name];
+    if (!channel) return;
+
+    if (!channel[kind][event]) {
+        const subscribers = channel[kind][event] = new Set();
+        const type = kind === 'whispers' ? 'whisper' : 'event';
+        const listen = kind === 'whispers' ? 'listenForWhisper' : 'listen';
+
+        channel.echoChannel[listen](event, data => send(subscribers, { type, name, event, data }));
+    }
+
+    channel[kind][event].add(port);
+}
+
+/**
+ * Forget a tab that closed.
+ * @param {MessagePort} port
+ */
+function disconnect(port) {
+    Object.keys(channels).forEach(name => leave(port, name));
+    ports.delete(port);
+}
+
+self.onconnect = ({ ports: [port] }) => {
+    ports.set(port, { lastSeen: Date.now() });
+
+    port.onmessage = ({ data: message }) => {
+        // Tabs restored from the back/forward cache come back on the port they closed
+        if (message.type !== 'close') ports.set(port, { lastSeen: Date.now() });
+
+        switch (message.type) {
+            case 'connect':
+                connect(message.options);
+                port.postMessage({ type: 'connection', previous: null, current: connectionState });
+                break;
+
+            case 'join':
+                join(port, message.name);
+                break;
+
+            case 'leave':
+                leave(port, message.name);
+                break;
+
+            case 'listen-whisper':
+                subscribe(port, message.name, message.event, 'whispers');
+                break;
+
+            case 'listen':
+                subscribe(port, message.name, message.event, 'events');
+                break;
+
+            case 'whisper': {
+                const channel = channels[message.name];
+                if (!channel) break;
+
+                channel.echoChannel.whisper(message.event, message.data);
+                send(channel.whispers[message.event] || [], {
+                    type: 'whisper',
+                    name: message.name,
+                    event: message.event,
+                    data: message.data,
+                }, port);
+                break;
+            }
+
+            case 'close':
+                disconnect(port);
+                break;
+        }
+    };
+
+    port.start();
+};
+
+setInterval(() => {
+    const now = Date.now();
+    ports.forEach(({ lastSeen }, port) => {
+        if (now - lastSeen > PORT_TIMEOUT_MS) disconnect(port);
+    });
+}, 10000);
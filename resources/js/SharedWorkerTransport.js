@@ -0,0 +1,305 @@
+/**
+ * SharedWorkerTransport Class
+ *
+ * Shares one Echo connection between all the tabs of a browser, through a SharedWorker
+ * (see SharedConnectionWorker.js) that owns the connection and multiplexes channel joins,
+ * whispers and presence events to each tab. Editors with many tabs open then hold a
+ * single connection and presence membership, instead of one per tab.
+ *
+ * It has the same API as EchoTransport, including a stand-in for the Pusher connection
+ * (state, bind and unbind) reflecting the state of the worker's connection, so it can be
+ * wrapped by the FallbackTransport too.
+ */
+export default class SharedWorkerTransport {
+
+    /**
+     * Check if the Echo connection can be shared: the option must be enabled, the browser
+     * must support SharedWorkers, and the broadcaster must be Pusher compatible.
+     * @param {Echo} echo - The Laravel Echo instance booted by Statamic
+     * @returns {boolean}
+     */
+    static supports(echo) {
+        return !!Statamic.$config.get('collaboration.shared_worker')
+            && typeof SharedWorker !== 'undefined'
+            && ['pusher', 'reverb'].includes(echo.options?.broadcaster);
+    }
+
+    /**
+     * @param {Echo} echo - The Laravel Echo instance booted by Statamic, whose options are reused
+     */
+    constructor(echo) {
+        this.channels = {};
+        this.connection = new WorkerConnection;
+
+        this.worker = new SharedWorker(new URL('./SharedConnectionWorker.js', import.meta.url), {
+            type: 'module',
+            name: 'statamic-collaboration',
+        });
+        this.port = this.worker.port;
+        this.port.onmessage = ({ data }) => this.receive(data);
+        this.port.start();
+
+        // Options are copied to the worker, so functions (and the client instance) can't come along
+        const { client, ...options } = echo.options;
+        this.options = JSON.parse(JSON.stringify(options));
+        this.port.postMessage({ type: 'connect', options: this.options });
+        this.startPinging();
+
+        // The worker forgets the tab when it's hidden, also when it goes into the back/forward
+        // cache, so the tab connects and joins its channels again when it's restored from there
+        window.addEventListener('pagehide', () => {
+            clearInterval(this.pingInterval);
+            this.port.postMessage({ type: 'close' });
+        });
+        window.addEventListener('pageshow', event => {
+            if (event.persisted) this.reconnect();
+        });
+    }
+
+    /**
+     * Let the worker know we're still around, so it can tell closed tabs apart.
+     */
+    startPinging() {
+        clearInterval(this.pingInterval);
+        this.pingInterval = setInterval(() => this.port.postMessage({ type: 'ping' }), 10000);
+    }
+
+    /**
+     * Connect to the worker again after the tab was restored from the back/forward cache,
+     * joining the channels (and listening for the events) the tab had before.
+     */
+    reconnect() {
+        this.port.postMessage({ type: 'connect', options: this.options });
+        Object.values(this.channels).forEach(channel => channel.rejoin());
+        this.startPinging();
+    }
+
+    /**
+     * Handle a message from the worker.
+     * @param {Object} message
+     */
+    receive(message) {
+        if (message.type === 'connection') {
+            this.connection.update(message.previous, message.current);
+            return;
+        }
+
+        this.channels[message.name]?.receive(message);
+    }
+
+    /**
+     * Join a presence channel.
+     * @param {string} name - The channel name
+     * @returns {WorkerChannel}
+     */
+    join(name) {
+        if (!this.channels[name]) {
+            this.channels[name] = new WorkerChannel(this.port, name);
+            this.port.postMessage({ type: 'join', name });
+        }
+        return this.channels[name];
+    }
+
+    /**
+     * Leave a channel.
+     * @param {string} name - The channel name
+     */
+    leave(name) {
+        if (!this.channels[name]) return;
+        this.port.postMessage({ type: 'leave', name });
+        delete this.channels[name];
+    }
+
+    /**
+     * Check if the worker's WebSocket is connected.
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.connection.state === 'connected';
+    }
+
+    /**
+     * Fall back to another way of connecting when the WebSocket is down.
+     * @returns {boolean} Whether there is a fallback (there's none)
+     */
+    degrade() {
+        return false;
+    }
+
+    /**
+     * Call a function whenever the worker's WebSocket (re)connects.
+     * @param {Function} callback
+     */
+    onConnected(callback) {
+        this.connection.bind('connected', callback);
+    }
+
+    /**
+     * Stop calling a function registered with onConnected().
+     * @param {Function} callback
+     */
+    offConnected(callback) {
+        this.connection.unbind('connected', callback);
+    }
+}
+
+/**
+ * Stand-in for the Pusher connection, reflecting the state of the worker's connection.
+ */
+class WorkerConnection {
+
+    constructor() {
+        this.state = 'initialized';
+        this.callbacks = {};
+    }
+
+    /**
+     * @param {string} event - 'state_change' or a state (e.g. 'connected')
+     * @param {Function} callback
+     */
+    bind(event, callback) {
+        (this.callbacks[event] ||= []).push(callback);
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} callback
+     */
+    unbind(event, callback) {
+        this.callbacks[event] = (this.callbacks[event] || []).filter(other => other !== callback);
+    }
+
+    /**
+     * Apply a state change reported by the worker, calling the bound callbacks like Pusher does.
+     * @param {string|null} previous
+     * @param {string} current
+     */
+    update(previous, current) {
+        if (current === this.state) return;
+
+        this.state = current;
+        (this.callbacks.state_change || []).forEach(callback => callback({ previous, current }));
+        (this.callbacks[current] || []).forEach(callback => callback());
+    }
+}
+
+/**
+ * A channel joined through the worker, with the API of an Echo presence channel.
+ */
+class WorkerChannel {
+
+    /**
+     * @param {MessagePort} port - The port to the worker
+     * @param {string} name - The channel name
+     */
+    constructor(port, name) {
+        this.port = port;
+        this.name = name;
+        this.callbacks = { here: [], joining: [], leaving: [] };
+        this.whisperListeners = {};
+        this.eventListeners = {};
+    }
+
+    /**
+     * Handle a message from the worker for this channel.
+     * @param {Object} message
+     */
+    receive(message) {
+        switch (message.type) {
+            case 'here':
+                this.callbacks.here.forEach(callback => callback(message.users));
+                break;
+            case 'joining':
+                this.callbacks.joining.forEach(callback => callback(message.user));
+                break;
+            case 'leaving':
+                this.callbacks.leaving.forEach(callback => callback(message.user));
+                break;
+            case 'whisper':
+                (this.whisperListeners[message.event] || []).forEach(callback => callback(message.data));
+                break;
+            case 'event':
+                (this.eventListeners[message.event] || []).forEach(callback => callback(message.data));
+                break;
+        }
+    }
+
+    /**
+     * Join the channel through the worker again, along with the whispers and events listened for.
+     */
+    rejoin() {
+        this.port.postMessage({ type: 'join', name: this.name });
+        Object.keys(this.whisperListeners).forEach(event => {
+            this.port.postMessage({ type: 'listen-whisper', name: this.name, event });
+        });
+        Object.keys(this.eventListeners).forEach(event => {
+            this.port.postMessage({ type: 'listen', name: this.name, event });
+        });
+    }
+
+    /**
+     * @param {Function} callback
+     * @returns {WorkerChannel}
+     */
+    here(callback) {
+        this.callbacks.here.push(callback);
+        return this;
+    }
+
+    /**
+     * @param {Function} callback
+     * @returns {WorkerChannel}
+     */
+    joining(callback) {
+        this.callbacks.joining.push(callback);
+        return this;
+    }
+
+    /**
+     * @param {Function} callback
+     * @returns {WorkerChannel}
+     */
+    leaving(callback) {
+        this.callbacks.leaving.push(callback);
+        return this;
+    }
+
+    /**
+     * @param {string} event
+     * @param {Object} data
+     * @returns {WorkerChannel}
+     */
+    whisper(event, data) {
+        this.port.postMessage({ type: 'whisper', name: this.name, event, data });
+        return this;
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {WorkerChannel}
+     */
+    listenForWhisper(event, callback) {
+        if (!this.whisperListeners[event]) {
+            this.whisperListeners[event] = [];
+            this.port.postMessage({ type: 'listen-whisper', name: this.name, event });
+        }
+        this.whisperListeners[event].push(callback);
+        return this;
+    }
+
+    /**
+     * Listen for events broadcast by the server.
+     * @param {string} event
+     * @param {Function} callback
+     * @returns {WorkerChannel}
+     */
+    listen(event, callback) {
+        if (!this.eventListeners[event]) {
+            this.eventListeners[event] = [];
+            this.port.postMessage({ type: 'listen', name: this.name, event });
+        }
+        this.eventListeners[event].push(callback);
+        return this;
+    }
+}
@@ -0,0 +1,258 @@
+/**
+ * TextDocument Class
+ *
+ * A conflict-free replicated text (RGA sequence CRDT) used to co-edit a single
+ * text-like field. Every character gets a unique id made of a Lamport clock and
+ * the id of the window that typed it, so concurrent inserts and deletes from
+ * several windows converge to the same text regardless of arrival order.
+ *
+ * - Inserts reference the character they were typed after (their origin)
+ * - Deletes only mark characters as removed (tombstones), so later inserts
+ *   can still reference them
+ * - Operations referencing characters we haven't seen yet are reported back
+ *   to the caller, which can retry them later or request a snapshot
+ */
+export default class TextDocument {
+
+    /**
+     * Create a document seeded with the given text.
+     * Seeded characters get deterministic ids derived from the text, so windows starting
+     * from the same text can exchange operations without a snapshot, while operations
+     * from a window seeded with different text reference unknown characters (and end up
+     * pending, until a snapshot is requested) instead of landing on the wrong ones.
+     * @param {string} siteId - Unique id of this window (used for local character ids)
+     * @param {string} text - The initial text
+     */
+    constructor(siteId, text = '') {
+        this.siteId = siteId;
+        this.clock = 0;
+        this.chars = [];
+
+        const seedSite = `0${TextDocument.hash(text || '')}`;
+        Array.from(text || '').forEach((ch, index) => {
+            this.chars.push({ id: `${seedSite}:${index + 1}`, clock: index + 1, site: seedSite, ch, deleted: false });
+        });
+
+        this.clock = this.chars.length;
+    }
+
+    /**
+     * Hash a seed text (32-bit FNV-1a), to tell seeds apart in character ids.
+     * @param {string} text
+     * @returns {string} The hash in base 36
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let index = 0; index < text.length; index++) {
+            hash ^= text.charCodeAt(index);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Get the visible text.
+     * @returns {string}
+     */
+    text() {
+        return this.visibleChars().map(char => char.ch).join('');
+    }
+
+    /**
+     * Get the characters that are not deleted.
+     * @returns {Object[]}
+     */
+    visibleChars() {
+        return this.chars.filter(char => !char.deleted);
+    }
+
+    /**
+     * Find the position of a character (including tombstones) by id.
+     * @param {string} id - The character id
+     * @returns {number} The index, or -1 if unknown
+     */
+    indexOf(id) {
+        return this.chars.findIndex(char => char.id === id);
+    }
+
+    /**
+     * Get the id of the visible character before a caret position.
+     * Used to keep the caret anchored while remote operations are applied.
+     * @param {number} position - The caret position in the visible text
+     * @returns {string|null} The character id, or null for the start of the text
+     */
+    anchorAt(position) {
+        if (position <= 0) return null;
+        const char = this.visibleChars()[position - 1];
+        return char ? char.id : null;
+    }
+
+    /**
+     * Resolve an anchor back to a caret position in the visible text.
+     * If the anchor character has been deleted, the caret moves to the nearest visible character before it.
+     * @param {string|null} anchor - The anchor returned by anchorAt()
+     * @returns {number} The caret position
+     */
+    positionOf(anchor) {
+        if (!anchor) return 0;
+
+        let position = 0;
+        for (const char of this.chars) {
+            if (!char.deleted) position++;
+            if (char.id === anchor) return position;
+        }
+
+        return position;
+    }
+
+    /**
+     * Turn a local edit into operations, applying them to this document.
+     * The edit is described by the new text; the changed range is found by
+     * trimming the common prefix and suffix.
+     * @param {string} newText - The text after the local edit
+     * @returns {Object[]} The operations to send to other windows
+     */
+    applyLocalText(newText) {
+        const oldChars = Array.from(this.text());
+        const newChars = Array.from(newText || '');
+
+        let prefix = 0;
+        while (prefix < oldChars.length && prefix < newChars.length && oldChars[prefix] === newChars[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (
+            suffix < oldChars.length - prefix &&
+            suffix < newChars.length - prefix &&
+            oldChars[oldChars.length - 1 - suffix] === newChars[newChars.length - 1 - suffix]
+        ) {
+            suffix++;
+        }
+
+        const visible = this.visibleChars();
+        const ops = [];
+
+        // Delete the replaced range
+        visible.slice(prefix, oldChars.length - suffix).forEach(char => {
+            char.deleted = true;
+            ops.push({ type: 'delete', id: char.id });
+        });
+
+        // Insert the new characters as a chain after the last unchanged character
+        let origin = prefix > 0 ? visible[prefix - 1].id : null;
+        newChars.slice(prefix, newChars.length - suffix).forEach(ch => {
+            this.clock++;
+            const op = { type: 'insert', id: `${this.siteId}:${this.clock}`, origin, ch };
+            this.integrateInsert(op);
+            ops.push(op);
+            origin = op.id;
+        });
+
+        return ops;
+    }
+
+    /**
+     * Apply operations received from another window.
+     * @param {Object[]} ops - The operations
+     * @returns {Object[]} Operations that couldn't be applied yet (they reference unknown characters)
+     */
+    applyRemoteOps(ops) {
+        let pending = ops;
+        let progress = true;
+
+        // Keep retrying while operations unlock each other (e.g. delivered out of order)
+        while (pending.length && progress) {
+            const remaining = pending.filter(op => !this.applyRemoteOp(op));
+            progress = remaining.length < pending.length;
+            pending = remaining;
+        }
+
+        return pending;
+    }
+
+    /**
+     * Apply a single remote operation.
+     * @param {Object} op - The operation
+     * @returns {boolean} False if the operation references an unknown character
+     */
+    applyRemoteOp(op) {
+        if (op.type === 'delete') {
+            const index = this.indexOf(op.id);
+            if (index === -1) return false;
+            this.chars[index].deleted = true;
+            return true;
+        }
+
+        // Ignore duplicate deliveries
+        if (this.indexOf(op.id) !== -1) return true;
+
+        if (op.origin && this.indexOf(op.origin) === -1) return false;
+
+        this.integrateInsert(op);
+        return true;
+    }
+
+    /**
+     * Insert a character after its origin.
+     * Concurrent inserts after the same origin are ordered by descending clock (then site id),
+     * which gives the same order in every window.
+     * @param {Object} op - The insert operation
+     */
+    integrateInsert(op) {
+        const [site, clock] = this.parseId(op.id);
+        const char = { id: op.id, clock, site, ch: op.ch, deleted: false };
+
+        let index = op.origin ? this.indexOf(op.origin) + 1 : 0;
+        while (index < this.chars.length && this.precedes(this.chars[index], char)) {
+            index++;
+        }
+
+        this.chars.splice(index, 0, char);
+        this.clock = Math.max(this.clock, clock);
+    }
+
+    /**
+     * Check whether an existing character should stay before a newly inserted one.
+     * @param {Object} existing - The existing character
+     * @param {Object} inserted - The character being inserted
+     * @returns {boolean}
+     */
+    precedes(existing, inserted) {
+        if (existing.clock !== inserted.clock) return existing.clock > inserted.clock;
+        return existing.site > inserted.site;
+    }
+
+    /**
+     * Split a character id into its site and clock.
+     * @param {string} id - The character id ("site:clock")
+     * @returns {Array} [site, clock]
+     */
+    parseId(id) {
+        const separator = id.lastIndexOf(':');
+        return [id.slice(0, separator), parseInt(id.slice(separator + 1), 10)];
+    }
+
+    /**
+     * Serialize the document (including tombstones) for windows that need to catch up.
+     * @returns {Object}
+     */
+    snapshot() {
+        return {
+            clock: this.clock,
+            chars: this.chars.map(char => [char.id, char.ch, char.deleted ? 1 : 0]),
+        };
+    }
+
+    /**
+     * Replace the document contents with a snapshot from another window.
+     * @param {Object} snapshot - The snapshot returned by snapshot()
+     */
+    loadSnapshot(snapshot) {
+        this.chars = snapshot.chars.map(([id, ch, deleted]) => {
+            const [site, clock] = this.parseId(id);
+            return { id, clock, site, ch, deleted: !!deleted };
+        });
+        this.clock = Math.max(this.clock, snapshot.clock);
+    }
+}
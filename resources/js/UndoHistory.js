@@ -0,0 +1,214 @@
+/**
+ * UndoHistory Class
+ *
+ * Undo and redo for the changes this window's user made to fields, which keeps
+ * working across blurs and while other people edit the entry:
+ *
+ * - Only our own changes are recorded; changes applied from other windows and the
+ *   server (while the workspace is applying a broadcast) are not
+ * - Consecutive changes to the same field in quick succession (typing) are one step
+ * - Undoing restores the field's previous value (and its meta, which fieldtypes like Bard
+ *   or assets need to render it) as a new local change, so it's persisted and synced like
+ *   any other; fields locked by someone else can't be undone
+ * - When someone else changed the field after us, undoing would overwrite their change,
+ *   so we ask first
+ * - Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) work inside the publish form, except in
+ *   text inputs, where the browser's own undo applies
+ */
+export default class UndoHistory {
+
+    /**
+     * @param {Workspace} workspace - The workspace the history belongs to
+     */
+    constructor(workspace) {
+        this.workspace = workspace;
+
+        // Steps: { handle, before, after, beforeMeta, afterMeta, at }
+        this.undoStack = [];
+        this.redoStack = [];
+        this.limit = 100;
+
+        // Changes to the same field within this time are merged into one step
+        this.mergeWithinMs = 1500;
+
+        // Set while we apply a step, so it isn't recorded as a new change
+        this.applying = false;
+    }
+
+    /**
+     * Listen for the undo and redo shortcuts inside the publish form.
+     */
+    listen() {
+        this.keydownHandler = event => {
+            if (!(event.metaKey || event.ctrlKey) || event.altKey) return;
+            if (!this.workspace.container.$el?.contains(event.target)) return;
+            if (this.isTextInput(event.target)) return;
+
+            const key = event.key.toLowerCase();
+            const redo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+            const undo = key === 'z' && !event.shiftKey;
+            if (!undo && !redo) return;
+
+            event.preventDefault();
+            redo ? this.redo() : this.undo();
+        };
+        document.addEventListener('keydown', this.keydownHandler);
+    }
+
+    /**
+     * Check if an element handles undo itself (text inputs, textareas, rich text).
+     * @param {HTMLElement} el
+     * @returns {boolean}
+     */
+    isTextInput(el) {
+        if (el.isContentEditable) return true;
+        if (el.tagName === 'TEXTAREA') return true;
+        return el.tagName === 'INPUT' && !['checkbox', 'radio', 'button', 'submit', 'range', 'color', 'file'].includes(el.type);
+    }
+
+    /**
+     * Record a change we made to a field.
+     * @param {string} handle - The field handle
+     * @param {*} before - The value before the change
+     * @param {*} after - The value after the change
+     */
+    record(handle, before, after) {
+        if (this.applying) return;
+
+        const last = this.undoStack[this.undoStack.length - 1];
+        const now = Date.now();
+
+        if (last && last.handle === handle && now - last.at < this.mergeWithinMs) {
+            last.after = clone(after);
+            last.at = now;
+        } else {
+            // The meta still belongs to the value before the change, the meta after it is taken when undoing
+            this.undoStack.push({ handle, before: clone(before ?? null), after: clone(after), beforeMeta: this.currentMeta(handle), afterMeta: undefined, at: now });
+            if (this.undoStack.length > this.limit) this.undoStack.shift();
+        }
+
+        this.redoStack = [];
+        this.updateStore();
+    }
+
+    /**
+     * Undo our last change.
+     */
+    undo() {
+        this.step(this.undoStack, this.redoStack, 'before', 'after');
+    }
+
+    /**
+     * Redo the last change we undid.
+     */
+    redo() {
+        this.step(this.redoStack, this.undoStack, 'after', 'before');
+    }
+
+    /**
+     * Move the last step from one stack to the other, applying one of its values.
+     * @param {Object[]} from - The stack to take the step from
+     * @param {Object[]} to - The stack to put it on
+     * @param {string} target - The value to apply ('before' to undo, 'after' to redo)
+     * @param {string} expected - The value the field should still have
+     */
+    step(from, to, target, expected) {
+        const step = from[from.length - 1];
+        if (!step) return;
+
+        const name = this.workspace.formatFieldName(step.handle);
+        const lockedBy = this.workspace.lockedBy(step.handle);
+        if (lockedBy) {
+            Statamic.$toast.error(`${name} is being edited by ${lockedBy.name}.`);
+            return;
+        }
+
+        const apply = () => {
+            from.pop();
+            to.push(step);
+
+            // Keep the meta of the value we replace, to restore it along with the value
+            step[`${expected}Meta`] = this.currentMeta(step.handle);
+            this.apply(step.handle, step[target], step[`${target}Meta`]);
+        };
+
+        const current = Statamic.$store.state.publish[this.workspace.container.name].values[step.handle];
+        if (JSON.stringify(current ?? null) === JSON.stringify(step[expected])) {
+            return apply();
+        }
+
+        // Someone else changed the field after us
+        const prompt = Statamic.$components.append('CollaborationBlockingNotification', {
+            props: {
+                title: 'Field Changed Since',
+                message: `${name} has been changed by someone else since. Do you want to overwrite their change?`,
+                confirmText: 'Overwrite',
+                cancelText: 'Cancel',
+            }
+        });
+
+        prompt.on('confirm', () => {
+            prompt.destroy();
+            apply();
+        });
+
+        // Their change stays, and the step no longer applies
+        prompt.on('cancel', () => {
+            prompt.destroy();
+            from.pop();
+            this.updateStore();
+        });
+    }
+
+    /**
+     * Set a field to a value as a local change, and persist it right away
+     * (the field usually isn't focused, so nothing else would).
+     * @param {string} handle
+     * @param {*} value
+     * @param {*} meta - The meta belonging to the value (left as it is when undefined)
+     */
+    apply(handle, value, meta) {
+        this.applying = true;
+        try {
+            Statamic.$store.commit(`publish/${this.workspace.container.name}/setFieldValue`, { handle, value: clone(value) });
+            if (meta !== undefined) {
+                Statamic.$store.commit(`publish/${this.workspace.container.name}/setFieldMeta`, { handle, value: clone(meta) });
+            }
+        } finally {
+            this.applying = false;
+        }
+
+        this.updateStore();
+        this.workspace.debug(`Applied ${handle} from the undo history`);
+        this.workspace.persistNow();
+    }
+
+    /**
+     * Get a copy of the field's current meta.
+     * @param {string} handle
+     * @returns {*} The meta, or undefined when the field has none
+     */
+    currentMeta(handle) {
+        const meta = Statamic.$store.state.publish[this.workspace.container.name].meta?.[handle];
+        return meta === undefined ? undefined : clone(meta);
+    }
+
+    /**
+     * Reflect what can be undone and redone in the store (shown in the status bar).
+     */
+    updateStore() {
+        Statamic.$store.commit(`collaboration/${this.workspace.channelName}/setHistory`, {
+            undo: this.undoStack.length,
+            redo: this.redoStack.length,
+        });
+    }
+
+    /**
+     * Remove the shortcut listener.
+     */
+    destroy() {
+        if (this.keydownHandler) {
+            document.removeEventListener('keydown', this.keydownHandler);
+        }
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Value diff helpers
+ *
+ * Describe how a field value changed in a way editors can read: a word diff for
+ * strings, added, removed and changed items for arrays (Replicator and Grid sets,
+ * Bard nodes, relationships), and the old and new value for anything else.
+ */
+
+// Above this many word comparisons, only the common start and end are diffed
+const MAX_DIFF_CELLS = 250000;
+
+/**
+ * Describe the change between two values of a field.
+ * @param {*} before - The saved value
+ * @param {*} after - The current value
+ * @returns {Object} { type: 'text', parts } | { type: 'list', added, removed, changed } | { type: 'value', before, after }
+ */
+export function diffValues(before, after) {
+    if ((typeof before === 'string' || before == null) && (typeof after === 'string' || after == null)) {
+        return { type: 'text', parts: diffText(before || '', after || '') };
+    }
+
+    if (Array.isArray(before) || Array.isArray(after)) {
+        return { type: 'list', ...diffItems(before || [], after || []) };
+    }
+
+    return { type: 'value', before: summarize(before), after: summarize(after) };
+}
+
+/**
+ * Diff two strings word by word.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Object[]} Parts in order, { text, added, removed }
+ */
+export function diffText(before, after) {
+    const a = before.split(/(\s+)/).filter(token => token !== '');
+    const b = after.split(/(\s+)/).filter(token => token !== '');
+
+    // Words the values start and end with are unchanged
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+    const parts = [];
+    const push = (text, type = null) => {
+        const last = parts[parts.length - 1];
+        if (last && last.added === (type === 'added') && last.removed === (type === 'removed')) {
+            last.text += text;
+        } else {
+            parts.push({ text, added: type === 'added', removed: type === 'removed' });
+        }
+    };
+
+    a.slice(0, start).forEach(token => push(token));
+
+    const oldMiddle = a.slice(start, a.length - end);
+    const newMiddle = b.slice(start, b.length - end);
+
+    if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+        oldMiddle.forEach(token => push(token, 'removed'));
+        newMiddle.forEach(token => push(token, 'added'));
+    } else {
+        lcsDiff(oldMiddle, newMiddle).forEach(([token, type]) => push(token, type));
+    }
+
+    a.slice(a.length - end).forEach(token => push(token));
+
+    return parts;
+}
+
+/**
+ * Diff two token lists using their longest common subsequence.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array[]} [token, type] pairs, type being null, 'added' or 'removed'
+ */
+function lcsDiff(a, b) {
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push([a[i], null]);
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            result.push([a[i++], 'removed']);
+        } else {
+            result.push([b[j++], 'added']);
+        }
+    }
+    while (i < a.length) result.push([a[i++], 'removed']);
+    while (j < b.length) result.push([b[j++], 'added']);
+
+    return result;
+}
+
+/**
+ * Compare the items of two arrays. Items with an id (sets, rows) are matched by it,
+ * so an edited set shows as changed rather than removed and added.
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {Object} { added, removed, changed } lists of item summaries
+ */
+function diffItems(before, after) {
+    const key = item => item && typeof item === 'object' && item.id ? `id:${item.id}` : JSON.stringify(item);
+
+    // Count identical items, so duplicates added or removed are noticed
+    const remaining = {};
+    before.forEach(item => remaining[key(item)] = [...(remaining[key(item)] || []), item]);
+
+    const added = [];
+    const changed = [];
+    after.forEach(item => {
+        const previous = remaining[key(item)]?.shift();
+        if (previous === undefined) {
+            added.push(summarize(item));
+        } else if (JSON.stringify(previous) !== JSON.stringify(item)) {
+            changed.push(summarize(item));
+        }
+    });
+
+    const removed = Object.values(remaining).flat().map(summarize);
+
+    return { added, removed, changed };
+}
+
+/**
+ * Summarize a value in a short line of text.
+ * @param {*} value
+ * @returns {string}
+ */
+export function summarize(value) {
+    if (value == null || value === '') return '(empty)';
+    if (typeof value !== 'object') return truncate(String(value));
+
+    const text = truncate(textOf(value).trim());
+    const type = !Array.isArray(value) && typeof value.type === 'string' ? value.type.replace(/_/g, ' ') : null;
+
+    if (type && text) return `${type}: ${text}`;
+    return type || text || truncate(JSON.stringify(value));
+}
+
+/**
+ * Collect the text inside a value (e.g. the text of a set or a Bard node).
+ * @param {*} value
+ * @returns {string}
+ */
+function textOf(value) {
+    if (typeof value === 'string') return value;
+    if (!value || typeof value !== 'object') return '';
+
+    return Object.entries(value)
+        .filter(([key]) => !['id', 'type', 'enabled', 'attrs', 'marks'].includes(key))
+        .map(([, item]) => textOf(item))
+        .filter(text => text)
+        .join(' ');
+}
+
+/**
+ * @param {string} text
+ * @param {number} length
+ * @returns {string}
+ */
+function truncate(text, length = 80) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
@@ -0,0 +1,282 @@
+/**
+ * WindowLeader Class
+ *
+ * Elects one of the windows a user has open on an entry (in the same browser) as the
+ * leader, which talks to the state API for all of them:
+ *
+ * - The leader is whichever window holds a Web Lock named after the entry; the other
+ *   windows queue for it, so when the leader closes the next one takes over
+ * - Followers forward their changed fields to the leader over the local BroadcastChannel
+ *   instead of persisting them; the leader merges everything that arrives while a request
+ *   is in flight into the next one, so there's a single writer and far fewer requests
+ * - Conflicts the leader finds while rebasing are reported back to the window the
+ *   conflicting fields were changed in, which shows them
+ * - Only the leader fetches the cached state (on sync-now, or when asked by a follower),
+ *   and shares it with the followers
+ *
+ * Without the Web Locks API every window leads itself, persisting and fetching on its own.
+ */
+export default class WindowLeader {
+
+    /**
+     * @param {Workspace} workspace - The workspace of this window
+     */
+    constructor(workspace) {
+        this.workspace = workspace;
+        this.lockName = `collaboration-leader-${workspace.container.reference}-${workspace.container.site}`;
+
+        // Without Web Locks there's nothing to coordinate with, so we lead ourselves
+        this.supported = typeof navigator !== 'undefined' && !!navigator.locks;
+        this.isLeader = !this.supported;
+
+        // Releases the lock (resolving the promise the lock is held for)
+        this.release = null;
+
+        // Leader: patches waiting to be persisted, { values, meta, windowId, resolve }
+        this.pending = [];
+        this.flushing = false;
+
+        // Follower: forwarded patches waiting for the leader's answer, keyed by request id
+        this.requests = {};
+    }
+
+    /**
+     * How long a follower waits for the leader to persist its changes.
+     * The leader may need a rebase (two requests) before answering.
+     * @returns {number}
+     */
+    get requestTimeout() {
+        return this.workspace.apiTimeout * 2;
+    }
+
+    /**
+     * Queue for the leader lock. We lead as soon as (and as long as) we hold it.
+     */
+    start() {
+        if (!this.supported) return;
+
+        navigator.locks.request(this.lockName, () => {
+            this.isLeader = true;
+            this.workspace.debug('This window is now the leader for persisting changes');
+
+            return new Promise(resolve => this.release = resolve);
+        });
+    }
+
+    /**
+     * Check if other windows of this browser have the entry open, from the holder and the
+     * queue of the leader lock, which every window joins as soon as it starts.
+     * @returns {Promise<boolean|null>} null without the Web Locks API
+     */
+    async hasOtherWindows() {
+        if (!this.supported) return null;
+
+        const { held = [], pending = [] } = await navigator.locks.query();
+        return [...held, ...pending].filter(lock => lock.name === this.lockName).length > 1;
+    }
+
+    /**
+     * Persist changed fields: the leader sends them (with any forwarded by followers),
+     * followers forward them to the leader.
+     * @param {Object} values - Changed field values keyed by handle
+     * @param {Object} meta - Changed field meta keyed by handle
+     * @returns {Promise<void>}
+     * @throws {Error} When persisting failed (with a status, 409 when the state stayed stale, 423 when it was locked)
+     */
+    persist(values, meta) {
+        if (this.isLeader) {
+            return new Promise((resolve, reject) => {
+                this.pending.push({
+                    values,
+                    meta,
+                    windowId: this.workspace.windowId,
+                    resolve: result => {
+                        this.workspace.notifyConflicts(result.conflicts);
+                        result.ok ? resolve() : reject(this.error(result));
+                    },
+                });
+                this.flush();
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            const requestId = Math.random().toString(36).slice(2);
+
+            const timer = setTimeout(() => {
+                delete this.requests[requestId];
+                reject(this.error({ status: 0 }));
+            }, this.requestTimeout);
+
+            this.requests[requestId] = result => {
+                clearTimeout(timer);
+                delete this.requests[requestId];
+                if (result.ok) this.workspace.revision = result.revision;
+                this.workspace.notifyConflicts(result.conflicts || []);
+                result.ok ? resolve() : reject(this.error(result));
+            };
+
+            this.workspace.localChannel.postMessage({
+                type: 'leader-persist',
+                windowId: this.workspace.windowId,
+                requestId,
+                values: JSON.parse(JSON.stringify(values)),
+                meta: JSON.parse(JSON.stringify(meta)),
+            });
+        });
+    }
+
+    /**
+     * Send the pending patches as one, and keep going while more arrived meanwhile.
+     */
+    async flush() {
+        if (this.flushing) return;
+        this.flushing = true;
+
+        while (this.pending.length) {
+            const batch = this.pending.splice(0);
+            const values = {};
+            const meta = {};
+            const windows = {};
+            batch.forEach(patch => {
+                Object.assign(values, patch.values);
+                Object.assign(meta, patch.meta);
+
+                // Changes are attributed to the window they were made in
+                [...Object.keys(patch.values), ...Object.keys(patch.meta)].forEach(handle => windows[handle] = patch.windowId);
+            });
+
+            let result;
+            try {
+                const conflicts = await this.workspace.sendStatePatchWithRebase(values, meta, windows);
+                result = { ok: true, revision: this.workspace.revision, conflicts };
+            } catch (error) {
+                result = { ok: false, status: error.status || 0, conflicts: error.conflicts || [] };
+            }
+
+            // Conflicts are reported by the windows the conflicting fields were changed in
+            batch.forEach(patch => patch.resolve({
+                ...result,
+                conflicts: result.conflicts.filter(handle => handle in patch.values || handle in patch.meta),
+            }));
+        }
+
+        this.flushing = false;
+    }
+
+    /**
+     * Fetch the cached state: the leader fetches it and shares it with the followers,
+     * followers ask the leader for it (and fetch it themselves when it doesn't answer).
+     * @returns {Promise<Object|null>} The state API response, or null if the request failed
+     */
+    async fetchState() {
+        if (this.isLeader) {
+            const data = await this.workspace.fetchCachedState();
+            this.share(data);
+            return data;
+        }
+
+        const data = await new Promise(resolve => {
+            const requestId = Math.random().toString(36).slice(2);
+
+            const timer = setTimeout(() => {
+                delete this.requests[requestId];
+                resolve(null);
+            }, this.requestTimeout);
+
+            this.requests[requestId] = message => {
+                clearTimeout(timer);
+                delete this.requests[requestId];
+                resolve(message.data || null);
+            };
+
+            this.workspace.localChannel.postMessage({ type: 'leader-fetch', windowId: this.workspace.windowId, requestId });
+        });
+
+        return data || this.workspace.fetchCachedState();
+    }
+
+    /**
+     * Share a cached state response we fetched with the followers.
+     * @param {Object} data - The state API response
+     * @param {string|null} requestId - The request of the follower that asked for it
+     */
+    share(data, requestId = null) {
+        if (!this.supported || !this.isLeader || !data) return;
+
+        this.workspace.localChannel.postMessage({ type: 'leader-state', windowId: this.workspace.windowId, requestId, data });
+    }
+
+    /**
+     * Handle a leader message from another local window.
+     * @param {Object} message
+     */
+    receive(message) {
+        switch (message.type) {
+            case 'leader-persist':
+                if (!this.isLeader) return;
+
+                this.workspace.debug(`Persisting changes forwarded by ${message.windowId.slice(-6)}`, {
+                    values: Object.keys(message.values),
+                    meta: Object.keys(message.meta),
+                });
+
+                this.pending.push({
+                    values: message.values,
+                    meta: message.meta,
+                    windowId: message.windowId,
+                    resolve: result => this.workspace.localChannel.postMessage({
+                        type: 'leader-persisted',
+                        windowId: this.workspace.windowId,
+                        requestId: message.requestId,
+                        ...result,
+                    }),
+                });
+                this.flush();
+                break;
+
+            case 'leader-persisted':
+                this.requests[message.requestId]?.(message);
+                break;
+
+            case 'leader-fetch':
+                if (!this.isLeader) return;
+
+                // Without an answer, the follower falls back to fetching it itself
+                this.workspace.fetchCachedState()
+                    .then(data => this.share(data, message.requestId))
+                    .catch(error => this.workspace.debug('Failed to fetch cached state for a follower', { error }));
+                break;
+
+            case 'leader-state':
+                if (this.isLeader) return;
+
+                // The follower that asked for it applies it itself
+                if (this.requests[message.requestId]) {
+                    this.requests[message.requestId](message);
+                    return;
+                }
+                this.workspace.loadCachedState('leader', message.data);
+                break;
+        }
+    }
+
+    /**
+     * Build the error a failed persist rejects with.
+     * @param {Object} result - { status }
+     * @returns {Error}
+     */
+    error(result) {
+        const error = new Error(result.status ? `HTTP ${result.status}` : 'No answer from the leader window');
+        error.status = result.status;
+        return error;
+    }
+
+    /**
+     * Step down, letting the next window take over right away.
+     */
+    destroy() {
+        this.release?.();
+        this.isLeader = false;
+        Object.values(this.requests).forEach(callback => callback({ ok: false, status: 0 }));
+    }
+}
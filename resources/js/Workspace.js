@@ -1,5 +1,17 @@
 import buddyIn from '../audio/buddy-in.mp3'
 import buddyOut from '../audio/buddy-out.mp3'
+import ActivityTimeline from './ActivityTimeline';
+import ChunkedWhispers from './ChunkedWhispers';
+import CoEditing from './CoEditing';
+import FieldComments from './FieldComments';
+import FieldtypeAdapters from './FieldtypeAdapters';
+import FollowMode from './FollowMode';
+import OfflineQueue from './OfflineQueue';
+import RemoteCursors from './RemoteCursors';
+import UndoHistory from './UndoHistory';
+import WindowLeader from './WindowLeader';
+import { profileFor } from './Profile';
+import { fieldElement, fieldElementForPath, pathFromElement, indexPath, isNestedPath, handleOf, setPathOf, elementForPath } from './FieldPath';
 
 /**
  * Workspace Class
@@ -7,17 +19,42 @@ import buddyOut from '../audio/buddy-out.mp3'
  * Manages real-time collaboration for a single Statamic entry. Each browser tab/window
  * that opens an entry creates its own Workspace instance. The class handles:
  *
- * - WebSocket communication via Laravel Echo for real-time sync
- * - Field locking to prevent concurrent edits on the same field
- * - State persistence to server cache for recovery and new window sync
- * - Multi-window support (same user can have multiple tabs open)
+ * - Real-time sync through a transport: Laravel Echo WebSockets by default, or a
+ *   BroadcastChannel between the windows of one browser when there's no broadcasting
+ *   server; large whispers are chunked and reassembled reliably (see ChunkedWhispers)
+ * - Field locking to prevent concurrent edits on the same field (or the same
+ *   Replicator/Bard/Grid set, addressed by field path like "content.#lx8f2k1a.text")
+ * - Optional co-editing of text-like fields (merged character by character instead of locked)
+ * - State persistence to server cache for recovery and new window sync, with unsaved
+ *   changes left behind offered as a draft to keep or discard when opening the entry
+ * - Multi-window support (same user can have multiple tabs open), with one of a user's
+ *   windows elected to persist changes and fetch state for all of them (see WindowLeader)
  * - Inactivity detection and auto-unlock
+ * - Offline queue (IndexedDB) for changes that haven't reached the server yet
+ * - Live carets and selections of other users inside text fields and Bard
+ * - A panel reviewing the changes since the last save, reverting single fields
+ * - A timeline of the session's activity in the publish sidebar (see ActivityTimeline)
+ * - Undo and redo of the user's own field changes, aware of other people's (see UndoHistory)
+ * - Comment threads on fields and sets, kept until resolved (see FieldComments)
+ * - Following another collaborator's focus around the form (see FollowMode)
+ * - Events and custom whispers for other addons (see CollaborationApi), and adapters
+ *   for fieldtypes whose values need custom comparing, serializing and merging (see FieldtypeAdapters)
+ * - Fields marked `collaboration: false` in the blueprint stay local to the window: they're
+ *   never broadcast, cached on the server or overwritten by other windows
  *
  * Architecture:
+ * - Only fields changed since the last persist are sent (field patches); the full
+ *   state is resent after a failed persist to recover a lost or stale server cache
+ * - The cached state carries a revision; updates based on a stale revision are rejected,
+ *   rebased onto the latest state and retried
+ * - Other clients are notified through the channel to fetch the latest state
+ *
+ * Timings come from the entry's profile: the config defaults, overridden by its
+ * collection and blueprint (see Profile). Using the default timings:
  * - Changes are persisted to server every 3 seconds while a field is focused
- * - Other clients are notified via WebSocket to fetch the latest state
  * - Fields remain locked for 3 seconds after blur to prevent race conditions
  * - Auto-unlock triggers after 30 seconds of inactivity in a field
+ * - Requests to edit a locked field are given up on after 15 seconds without an answer
  */
 export default class Workspace {
 
@@ -27,10 +64,17 @@ export default class Workspace {
      */
     constructor(container) {
         this.container = container;
-        this.echo = null;
+        this.transport = null;
+        this.api = null;
         this.started = false;
+
+        // Whether the page is (going) into the back/forward cache, see suspend()
+        this.suspended = false;
         this.storeSubscriber = null;
 
+        // Timings of the entry's collection and blueprint
+        this.profile = profileFor(container);
+
         // Cache for detecting changes (prevents unnecessary broadcasts)
         this.lastValues = {};
         this.lastMetaValues = {};
@@ -50,8 +94,8 @@ export default class Workspace {
         // Flag to prevent re-broadcasting changes that came from other windows
         this.applyingBroadcast = false;
 
-        // Session inactivity tracking (12 hours before warning)
-        this.inactivityTimeout = 12 * 60 * 60 * 1000;
+        // Session inactivity tracking (12 hours before warning by default)
+        this.inactivityTimeout = this.profile.inactivity_timeout;
         this.inactivityTimer = null;
         this.inactivityWarningShown = false;
 
@@ -69,33 +113,91 @@ export default class Workspace {
         // Warm-up period: always broadcast for first few seconds after joining
         // This ensures sync works even before activeWindows is fully populated
         this.warmUpPeriod = true;
-        this.warmUpDurationMs = 5000;
+        this.warmUpDurationMs = this.profile.warm_up_duration;
 
         // BroadcastChannel for instant same-browser window detection (faster than WebSocket)
         this.localChannel = null;
         this.localWindows = new Set();
+        this.localHandshakeMs = 500;
 
-        // Sync interval: persist changes every 3 seconds while a field is focused
-        this.syncInterval = 3000;
+        // Sync interval: persist changes every few seconds while a field is focused
+        this.syncInterval = this.profile.sync_interval;
         this.syncIntervalTimer = null;
         this.currentFocusedField = null;
+        this.currentFocusedPath = null;
         this.hasPendingChanges = false;
 
-        // Field lock timing: keep field locked for 3 seconds after user leaves
-        this.fieldUnlockDelay = 3000;
+        // Handles changed locally since the last successful persist (sent as field patches)
+        this.dirtyValueHandles = new Set();
+        this.dirtyMetaHandles = new Set();
+
+        // Set after a failed persist so the next one resends the complete state
+        this.fullResyncRequired = false;
+
+        // Revision of the server cached state our values are based on (sent with every update)
+        this.revision = 0;
+        this.maxRebaseAttempts = 3;
+
+        // One of the local windows on this entry talks to the state API for all of them
+        this.leader = new WindowLeader(this);
+
+        // Large whispers are chunked, with retransmission of dropped chunks
+        this.chunkedWhispers = new ChunkedWhispers(this);
+
+        // Character-level co-editing for text-like fields (when enabled in config)
+        this.coEditing = new CoEditing(this);
+
+        // Unsynced changes survive closing the tab while offline, replayed once reachable again.
+        // Changed fields are queued once per sync interval, unless a persist took them along first.
+        this.offlineQueue = new OfflineQueue(container.reference, container.site, this.windowId);
+        this.hasQueuedChanges = false;
+        this.unqueuedHandles = new Set();
+        this.queueTimer = null;
+
+        // Carets and selections of other users, sent as throttled "cursor" whispers
+        this.remoteCursors = new RemoteCursors(this);
+
+        // Who changed what during the session
+        this.activity = new ActivityTimeline(this);
+
+        // Our own field changes, to undo and redo
+        this.undoHistory = new UndoHistory(this);
+
+        // Comment threads on fields and sets
+        this.comments = new FieldComments(this);
+
+        // Following where another collaborator is working
+        this.followMode = new FollowMode(this);
+
+        // Field lock timing: keep field locked for a moment after user leaves
+        this.fieldUnlockDelay = this.profile.field_unlock_delay;
         this.pendingFieldUnlocks = {};
 
-        // Field inactivity: auto-unlock after 30 seconds of no keyboard activity
-        this.fieldInactivityTimeout = 30000;
+        // Field inactivity: auto-unlock after a while of no keyboard activity
+        this.fieldInactivityTimeout = this.profile.field_inactivity_timeout;
         this.fieldInactivityTimer = null;
 
-        // API timeout for all fetch requests (4 seconds)
-        this.apiTimeout = 4000;
+        // Edit requests: ask the holder of a locked field to hand it over
+        this.editRequestTimeout = this.profile.edit_request_timeout;
+        this.pendingEditRequest = null;
+        this.editRequestPrompt = null;
+        this.handingOffField = null;
+
+        // API timeout for all fetch requests
+        this.apiTimeout = this.profile.api_timeout;
 
         // Cached CSRF token (looked up once, reused for all requests)
         this._csrfToken = null;
     }
 
+    /**
+     * The current values of the publish form, keyed by handle.
+     * @returns {Object}
+     */
+    get values() {
+        return Statamic.$store.state.publish[this.container.name]?.values || {};
+    }
+
     /**
      * Get cached CSRF token for API requests.
      * @returns {string} The CSRF token
@@ -131,13 +233,21 @@ export default class Workspace {
 
         this.initializeStateApi();
         this.initializeLocalChannel();
-        this.initializeEcho();
+        this.leader.start();
+        this.initializeChannel();
+        this.api?.attach(this);
+        this.initializeCoEditing();
+        this.remoteCursors.listen();
+        this.undoHistory.listen();
         this.initializeStore();
+        this.comments.listen();
         this.initializeFocus();
+        this.initializeEditRequests();
         this.initializeValuesAndMeta();
         this.initializeHooks();
         this.initializeStatusBar();
         this.initializeVisibilityHandler();
+        this.initializeOfflineQueue();
         this.started = true;
     }
 
@@ -173,6 +283,13 @@ export default class Workspace {
                     this.debug(`Local window left: ${windowId}`);
                     this.localWindows.delete(windowId);
                     break;
+
+                case 'leader-persist':
+                case 'leader-persisted':
+                case 'leader-fetch':
+                case 'leader-state':
+                    this.leader.receive(event.data);
+                    break;
             }
         };
 
@@ -181,6 +298,28 @@ export default class Workspace {
         this.debug('Local channel initialized');
     }
 
+    /**
+     * Initialize co-editing listeners for text-like fields.
+     * Co-edited fields are merged character by character instead of being locked.
+     */
+    initializeCoEditing() {
+        if (!this.coEditing.enabled) return;
+
+        this.coEditing.listen();
+        this.debug('Co-editing initialized');
+    }
+
+    /**
+     * Initialize replaying of the offline queue once the browser is back online
+     * or the WebSocket has reconnected.
+     */
+    initializeOfflineQueue() {
+        this.onlineHandler = () => this.replayOfflineQueue();
+        window.addEventListener('online', this.onlineHandler);
+
+        this.transport.onConnected(this.onlineHandler);
+    }
+
     /**
      * Initialize visibility change handler for tab switching.
      * When a tab becomes visible after being hidden, sync state from server
@@ -199,6 +338,9 @@ export default class Workspace {
                 return;
             }
 
+            // A page restored from the back/forward cache catches up in resume()
+            if (this.suspended) return;
+
             if (isNowVisible && this.wasHidden) {
                 this.wasHidden = false;
 
@@ -210,26 +352,38 @@ export default class Workspace {
                 }
 
                 this.debug('Window became visible, syncing state...');
+                await this.catchUp('visibilityHandler');
+            }
+        };
 
-                // Wait for WebSocket reconnection if needed
-                const { wasDisconnected, reconnected } = await this.waitForConnection();
+        document.addEventListener('visibilitychange', this.visibilityHandler);
+    }
 
-                // Fetch latest state from server
-                await this.loadCachedState('visibilityHandler');
+    /**
+     * Catch up after the window was away: sync the state from the server, send what piled up
+     * in the meantime and announce ourselves again, to get fresh state from other windows.
+     * @param {string} source - What triggered the catch up (for debugging)
+     */
+    async catchUp(source) {
+        // Wait for WebSocket reconnection if needed, falling back to polling when it doesn't
+        const { wasDisconnected, reconnected } = await this.waitForConnection();
+        const degraded = wasDisconnected && !reconnected && this.transport.degrade();
 
-                // Re-announce ourselves to get fresh state from other windows
-                this.channel.whisper('window-joined', { windowId: this.windowId, user: this.user });
+        // Fetch latest state from server
+        await this.loadCachedState(source);
 
-                // Notify user about connection status
-                if (wasDisconnected && reconnected) {
-                    Statamic.$toast.success('Connection restored. Syncing latest changes...', { duration: 2000 });
-                } else if (wasDisconnected && !reconnected) {
-                    Statamic.$toast.error('Connection could not be restored. Please refresh the page.', { duration: false });
-                }
-            }
-        };
+        // Send anything that piled up while we couldn't reach the server
+        await this.replayOfflineQueue();
 
-        document.addEventListener('visibilitychange', this.visibilityHandler);
+        // Re-announce ourselves to get fresh state from other windows
+        this.channel.whisper('window-joined', { windowId: this.windowId, user: this.user, compression: ChunkedWhispers.compressionSupported });
+
+        // Notify user about connection status
+        if (wasDisconnected && reconnected) {
+            Statamic.$toast.success('Connection restored. Syncing latest changes...', { duration: 2000 });
+        } else if (wasDisconnected && !reconnected && !degraded) {
+            Statamic.$toast.error('Connection could not be restored. Please refresh the page.', { duration: false });
+        }
     }
 
     /**
@@ -239,11 +393,8 @@ export default class Workspace {
      * @returns {Promise<{wasDisconnected: boolean, reconnected: boolean}>}
      */
     async waitForConnection(maxWaitMs = 5000) {
-        const pusher = this.echo?.connector?.pusher;
-        if (!pusher) return { wasDisconnected: false };
-
         // Already connected
-        if (pusher.connection?.state === 'connected') return { wasDisconnected: false };
+        if (this.transport.isConnected()) return { wasDisconnected: false };
 
         this.debug('Waiting for reconnection...');
 
@@ -254,7 +405,7 @@ export default class Workspace {
             }, maxWaitMs);
 
             const checkInterval = setInterval(() => {
-                if (pusher.connection?.state === 'connected') {
+                if (this.transport.isConnected()) {
                     clearTimeout(timeout);
                     clearInterval(checkInterval);
                     this.debug('Connection restored');
@@ -286,60 +437,142 @@ export default class Workspace {
         this.stopSyncInterval();
         this.clearFieldInactivityTimer();
 
+        // Send any queued co-editing operations
+        this.coEditing.destroy();
+        this.remoteCursors.destroy();
+        this.chunkedWhispers.destroy();
+        this.activity.destroy();
+        this.undoHistory.destroy();
+        this.comments.destroy();
+        this.followMode.destroy();
+
         // Clear pending field unlocks
         Object.keys(this.pendingFieldUnlocks).forEach(handle => {
             this.cancelPendingUnlock(handle);
         });
 
+        this.releaseBeforeLeaving();
+
+        // Remove event listeners
+        if (this.keypressHandler) {
+            document.removeEventListener('keydown', this.keypressHandler);
+        }
+        if (this.focusinHandler) {
+            document.removeEventListener('focusin', this.focusinHandler);
+        }
+        if (this.lockedFieldClickHandler) {
+            document.removeEventListener('click', this.lockedFieldClickHandler, true);
+        }
+        if (this.onlineHandler) {
+            window.removeEventListener('online', this.onlineHandler);
+            this.transport.offConnected(this.onlineHandler);
+        }
+        if (this.pathLocksWatcher) {
+            this.pathLocksWatcher();
+        }
+        if (this.focusWatcher) {
+            this.focusWatcher();
+            Object.values(this.presenceBadges).forEach(badge => {
+                badge.$destroy();
+                badge.$el.remove();
+            });
+        }
+        if (this.visibilityHandler) {
+            document.removeEventListener('visibilitychange', this.visibilityHandler);
+        }
+
+        if (this.changesPanel) {
+            this.changesPanel.destroy();
+        }
+
+        this.announceLeaving();
+        this.localChannel?.close();
+
+        // Clean up tracking
+        this.activeWindows.delete(this.windowId);
+
+        // Unsubscribe from Vuex and leave the channel
+        this.storeSubscriber.apply();
+        this.transport.leave(this.channelName);
+    }
+
+    /**
+     * Release the focused field and persist pending changes, before the window goes away.
+     */
+    releaseBeforeLeaving() {
         // If we have a focused field, release it properly before leaving
         if (this.currentFocusedField) {
             const handle = this.currentFocusedField;
+            const path = this.currentFocusedPath;
             this.currentFocusedField = null;
+            this.currentFocusedPath = null;
 
             // Notify others about blur so they can unlock the field
             this.blur(this.user);
-            this.whisper('blur', { user: this.user, handle, windowId: this.windowId });
+            this.whisper('blur', { user: this.user, handle, path, windowId: this.windowId });
         }
 
         // Persist any pending changes before leaving (fire-and-forget, don't await)
+        // They're queued first, in case the request doesn't make it before the tab closes
+        this.flushOfflineQueue();
         if (this.hasPendingChanges) {
             this.persistAllChanges();
         }
+    }
 
-        // Remove event listeners
-        if (this.keypressHandler) {
-            document.removeEventListener('keydown', this.keypressHandler);
-        }
-        if (this.visibilityHandler) {
-            document.removeEventListener('visibilitychange', this.visibilityHandler);
-        }
-
-        // Announce departure via WebSocket
+    /**
+     * Tell the other windows we're leaving, and hand leadership over to one of them.
+     */
+    announceLeaving() {
+        // Announce departure via the channel
         this.channel.whisper('window-left', { windowId: this.windowId });
 
-        // Announce departure via BroadcastChannel and close it
-        if (this.localChannel) {
-            this.localChannel.postMessage({ type: 'window-left', windowId: this.windowId });
-            this.localChannel.close();
-        }
+        // Announce departure via BroadcastChannel
+        this.localChannel?.postMessage({ type: 'window-left', windowId: this.windowId });
 
-        // Clean up tracking
-        this.activeWindows.delete(this.windowId);
+        // Hand leadership over to another window
+        this.leader.destroy();
+    }
 
-        // Unsubscribe from Vuex and leave WebSocket channel
-        this.storeSubscriber.apply();
-        this.echo.leave(this.channelName);
+    /**
+     * Leave the session while the page is in the back/forward cache, where it may be
+     * restored from later. Unlike destroy(), the workspace stays set up for resume().
+     */
+    suspend() {
+        if (!this.started || this.suspended) return;
+
+        this.suspended = true;
+        this.releaseBeforeLeaving();
+        this.announceLeaving();
+        this.debug('Suspended while in the back/forward cache');
+    }
+
+    /**
+     * Rejoin the session when the page is restored from the back/forward cache,
+     * catching up on what happened in the meantime.
+     */
+    async resume() {
+        if (!this.suspended) return;
+
+        this.suspended = false;
+        this.wasHidden = false;
+        this.leader.start();
+        this.localChannel.postMessage({ type: 'window-joined', windowId: this.windowId });
+
+        this.debug('Restored from the back/forward cache, syncing state...');
+        await this.catchUp('resume');
     }
 
     /**
-     * Initialize Laravel Echo WebSocket channel and set up all listeners.
+     * Join the presence channel through the transport and set up all listeners.
      * This is the core of the real-time collaboration system.
      */
-    initializeEcho() {
+    initializeChannel() {
         // Create channel name from entry reference and site
         const reference = this.container.reference.replaceAll('::', '.');
         this.channelName = `${reference}.${this.container.site.replaceAll('.', '_')}`;
-        this.channel = this.echo.join(this.channelName);
+        this.channel = this.transport.join(this.channelName, { timeout: this.apiTimeout });
+        this.chunkedWhispers.listen();
 
         // Called when we successfully join the channel with list of current users
         this.channel.here(async users => {
@@ -355,45 +588,54 @@ export default class Workspace {
             this.activeWindows.add(this.windowId);
             this.resetActivityTimer();
 
+            this.activity.record('joined', { user: this.user, window: this.windowId });
+            Vue.nextTick(() => this.activity.mount());
+            this.comments.load();
+
             // During warm-up, always broadcast (activeWindows may not be fully populated yet)
             this.warmUpPeriod = true;
             setTimeout(() => {
                 this.warmUpPeriod = false;
                 this.debug('Warm-up period ended');
+
+                // Other windows have announced themselves by now, so leftover queued changes are from closed ones
+                this.offerOfflineRecovery();
             }, this.warmUpDurationMs);
 
             // Load any cached state from server (handles reconnects and stale data)
-            await this.loadCachedState('channel.here');
+            await this.loadInitialState(users);
 
             // Announce ourselves so other windows can send us their state
-            this.channel.whisper('window-joined', { windowId: this.windowId, user: this.user });
+            this.channel.whisper('window-joined', { windowId: this.windowId, user: this.user, compression: ChunkedWhispers.compressionSupported });
         });
 
         // Handle new windows joining
-        this.channel.listenForWhisper('window-joined', ({ windowId, user }) => {
+        this.channel.listenForWhisper('window-joined', ({ windowId, user, compression = false }) => {
             if (windowId === this.windowId) return;
 
-            this.debug(`Window joined: ${windowId}`, { user });
+            this.debug(`Window joined: ${windowId}`, { user, compression });
             this.activeWindows.add(windowId);
+            this.chunkedWhispers.setCompression(windowId, compression);
 
             // Respond so the new window knows about us
-            this.channel.whisper('window-present', { windowId: this.windowId, user: this.user });
+            this.channel.whisper('window-present', { windowId: this.windowId, user: this.user, compression: ChunkedWhispers.compressionSupported });
 
-            // Send our current state to help the new window sync
-            this.channel.whisper(`initialize-state-for-window-${windowId}`, {
-                values: Statamic.$store.state.publish[this.container.name].values,
-                meta: this.cleanEntireMetaPayload(Statamic.$store.state.publish[this.container.name].meta),
+            // Send our current state to help the new window sync (large, so usually chunked)
+            this.whisper(`initialize-state-for-window-${windowId}`, {
+                values: this.serializeValues(this.onlyCollaborative(Statamic.$store.state.publish[this.container.name].values)),
+                meta: this.cleanEntireMetaPayload(this.onlyCollaborative(Statamic.$store.state.publish[this.container.name].meta)),
                 focus: Statamic.$store.state.collaboration[this.channelName].focus,
                 fromWindowId: this.windowId,
-            });
+            }, { force: true, to: windowId });
         });
 
         // Handle existing windows announcing themselves
-        this.channel.listenForWhisper('window-present', ({ windowId }) => {
+        this.channel.listenForWhisper('window-present', ({ windowId, compression = false }) => {
             if (windowId === this.windowId) return;
 
-            this.debug(`Window present: ${windowId}`);
+            this.debug(`Window present: ${windowId}`, { compression });
             this.activeWindows.add(windowId);
+            this.chunkedWhispers.setCompression(windowId, compression);
         });
 
         // Handle windows leaving
@@ -402,10 +644,11 @@ export default class Workspace {
 
             this.debug(`Window left: ${windowId}`);
             this.activeWindows.delete(windowId);
+            this.chunkedWhispers.forgetWindow(windowId);
         });
 
         // Handle initial state from other windows (targeted specifically to us)
-        this.channel.listenForWhisper(`initialize-state-for-window-${this.windowId}`, payload => {
+        this.listenForWhisper(`initialize-state-for-window-${this.windowId}`, payload => {
             if (payload.fromWindowId === this.windowId) return;
 
             // Protect recent local changes from being overwritten
@@ -420,27 +663,37 @@ export default class Workspace {
             // Prevent re-broadcasting while applying external changes
             this.applyingBroadcast = true;
             try {
-                // Merge received values with current state
+                // Merge received values with current state, keeping the set we are editing
                 const currentValues = Statamic.$store.state.publish[this.container.name].values;
-                const mergedValues = { ...currentValues, ...payload.values };
+                const mergedValues = { ...currentValues };
+                const handles = Object.keys(this.onlyCollaborative(payload.values));
+                handles.forEach(handle => {
+                    mergedValues[handle] = this.mergeRemoteValue(handle, payload.values[handle]);
+                });
                 Statamic.$store.commit(`publish/${this.container.name}/setValues`, mergedValues);
 
                 // Merge received meta with current state
                 const currentMeta = Statamic.$store.state.publish[this.container.name].meta;
-                const restoredMeta = this.restoreEntireMetaPayload(payload.meta);
+                const restoredMeta = this.restoreEntireMetaPayload(this.onlyCollaborative(payload.meta));
                 const mergedMeta = { ...currentMeta };
                 Object.keys(restoredMeta).forEach(handle => {
                     mergedMeta[handle] = { ...currentMeta[handle], ...restoredMeta[handle] };
                 });
                 Statamic.$store.commit(`publish/${this.container.name}/setMeta`, mergedMeta);
+
+                this.emit('remote-change-applied', { handles, source: 'window' });
             } finally {
                 this.applyingBroadcast = false;
             }
 
-            // Apply focus locks from other users (not our own windows)
-            _.each(payload.focus, ({ user, handle }) => {
-                if (user.id !== this.user.id) {
-                    this.focusAndLock(user, handle);
+            // Apply focus locks from other users (not our own windows, not co-edited fields)
+            _.each(payload.focus, ({ user, handle, path, windowId }) => {
+                if (user.id === this.user.id) return;
+
+                if (this.coEditing.supports(handle)) {
+                    this.focus(user, handle, path, windowId);
+                } else {
+                    this.focusAndLock(user, handle, path, windowId);
                 }
             });
         });
@@ -451,6 +704,8 @@ export default class Workspace {
 
             // Only notify for other users (not our own other windows)
             if (user.id !== this.user.id) {
+                this.activity.record('joined', { user });
+                this.emit('user-joined', { user });
                 Statamic.$toast.info(`${user.name} has joined.`, { duration: 2000 });
                 if (Statamic.$config.get('collaboration.sound_effects')) {
                     this.playAudio('buddy-in');
@@ -464,6 +719,8 @@ export default class Workspace {
 
             // Only notify for other users
             if (user.id !== this.user.id) {
+                this.activity.record('left', { user });
+                this.emit('user-left', { user });
                 Statamic.$toast.info(`${user.name} has left.`, { duration: 2000 });
                 if (Statamic.$config.get('collaboration.sound_effects')) {
                     this.playAudio('buddy-out');
@@ -472,38 +729,56 @@ export default class Workspace {
 
             // Release any locks held by the leaving user
             this.blurAndUnlock(user);
+            this.remoteCursors.removeUser(user);
+            this.followMode.userLeft(user);
         });
 
         // Handle sync-now notifications (fetch latest state from server)
         this.channel.listenForWhisper('sync-now', ({ windowId }) => {
             if (windowId === this.windowId) return;
 
+            // The leader fetches for all local windows, and shares what it got
+            if (!this.leader.isLeader) return;
+
             this.debug(`Received sync-now from ${windowId?.slice(-6)}, fetching from server`);
-            this.loadCachedState('sync-now');
+            this.fetchCachedState()
+                .then(data => {
+                    this.leader.share(data);
+                    return this.loadCachedState('sync-now', data);
+                })
+                .catch(error => this.debug('Failed to fetch cached state', { error }));
         });
 
         // Handle focus events (field locking)
-        this.listenForWhisper('focus', ({ user, handle, windowId }) => {
+        this.listenForWhisper('focus', ({ user, handle, path = handle, windowId }) => {
             if (windowId === this.windowId) return;
 
-            this.debug('User focused field', { user, handle, windowId });
+            this.debug('User focused field', { user, handle, path, windowId });
+
+            // Moving to another set within the same field releases the previous set
+            const previousPath = this.focusedPathOf(user);
+            if (user.id !== this.user.id && previousPath && setPathOf(previousPath) !== setPathOf(path)) {
+                this.scheduleDelayedUnlock(handleOf(previousPath), previousPath);
+            }
 
             // Cancel any pending unlock (user is back editing)
-            this.cancelPendingUnlock(handle);
+            this.cancelPendingUnlock(setPathOf(path));
 
-            // Lock field for other users, just track focus for our own other windows
-            if (user.id === this.user.id) {
-                this.focus(user, handle);
+            // Lock field for other users, just track focus for our own other windows and co-edited fields
+            if (user.id === this.user.id || this.coEditing.supports(handle)) {
+                this.focus(user, handle, path, windowId);
             } else {
-                this.focusAndLock(user, handle);
+                this.focusAndLock(user, handle, path, windowId);
             }
         });
 
         // Handle blur events (field releasing)
-        this.listenForWhisper('blur', ({ user, handle, windowId }) => {
+        this.listenForWhisper('blur', ({ user, handle, path = handle, windowId }) => {
             if (windowId === this.windowId) return;
 
-            this.debug('User blurred field', { user, handle, windowId });
+            this.debug('User blurred field', { user, handle, path, windowId });
+
+            this.remoteCursors.remove(windowId);
 
             // For other users, schedule delayed unlock (field stays locked for 3 more seconds)
             if (user.id === this.user.id) {
@@ -511,33 +786,41 @@ export default class Workspace {
             } else {
                 this.blur(user);
                 if (handle) {
-                    this.scheduleDelayedUnlock(handle);
+                    this.scheduleDelayedUnlock(handle, path);
                 }
             }
         });
 
-        // Handle force-unlock requests (admin can unlock another user's field)
-        this.listenForWhisper('force-unlock', ({ targetUser, originUser, windowId }) => {
-            if (windowId === this.windowId) return;
+        // Handle force unlocks. These are broadcast by the server after checking the
+        // origin user's permission (and logging the unlock), never whispered by clients
+        // (with a local transport, the origin window passes on what the server returned).
+        this.channel.listen('.collaboration.force-unlocked', ({ target_user: targetUser, origin_user: originUser, handle: unlockedHandle, activity_id: activityId }) => {
+            this.debug('Force unlock received', { targetUser, originUser });
 
-            this.debug('Force unlock requested', { targetUser, originUser });
+            this.activity.record('force-unlocked', { id: activityId, user: originUser, target_user: targetUser, handle: unlockedHandle });
 
             // Only respond if we are the target
             if (targetUser.id !== this.user.id) return;
 
+            const handle = this.currentFocusedField;
+            const path = this.currentFocusedPath || handle;
+
             document.activeElement.blur();
             this.blurAndUnlock(this.user);
-            this.whisper('blur', { user: this.user, windowId: this.windowId });
+            this.whisper('blur', { user: this.user, handle, path, windowId: this.windowId });
+            this.currentFocusedPath = null;
             Statamic.$toast.info(`${originUser.name} has unlocked your editor.`, { duration: false });
         });
 
         // Handle save notifications
-        this.listenForWhisper('saved', ({ user, windowId }) => {
+        this.listenForWhisper('saved', ({ user, windowId, activityId }) => {
             if (windowId === this.windowId) return;
 
+            this.activity.record('saved', { id: activityId, user, window: windowId });
+            this.emit('saved', { user, local: false });
+
             // Update our state to reflect the save
-            const currentValues = Statamic.$store.state.publish[this.container.name].values;
-            Statamic.$store.commit(`collaboration/${this.channelName}/setOriginalValues`, clone(currentValues));
+            this.rememberSavedState();
             Statamic.$store.commit(`collaboration/${this.channelName}/setSaveStatus`, 'saved');
 
             this.unsavedToastShown = false;
@@ -547,9 +830,12 @@ export default class Workspace {
         });
 
         // Handle publish notifications (requires page reload)
-        this.listenForWhisper('published', ({ user, message, windowId }) => {
+        this.listenForWhisper('published', ({ user, message, windowId, activityId }) => {
             if (windowId === this.windowId) return;
 
+            this.activity.record('published', { id: activityId, user, window: windowId });
+            this.emit('published', { user, message, local: false });
+
             Statamic.$toast.success(`Published by ${user.name}.`);
             const messageProp = message
                 ? `Entry has been published by ${user.name} with the message: ${message}`
@@ -586,8 +872,14 @@ export default class Workspace {
             state: {
                 users: [],
                 focus: {},
+                pathLocks: {},
                 saveStatus: isNewEntry ? 'notSaved' : 'saved',
                 originalValues: null,
+                originalMeta: null,
+                activity: [],
+                history: { undo: 0, redo: 0 },
+                comments: {},
+                following: null,
             },
             mutations: {
                 setUsers(state, users) {
@@ -599,20 +891,129 @@ export default class Workspace {
                 removeUser(state, removedUser) {
                     state.users = state.users.filter(user => user.id !== removedUser.id);
                 },
-                focus(state, { handle, user }) {
-                    Vue.set(state.focus, user.id, { handle, user });
+                focus(state, { handle, path, user, windowId }) {
+                    // Keep the start time while the user stays in the same field (shown as lock duration)
+                    const existing = state.focus[user.id];
+                    const since = existing && existing.handle === handle ? existing.since : Date.now();
+                    Vue.set(state.focus, user.id, { handle, path: path || handle, user, windowId, since });
                 },
                 blur(state, user) {
                     Vue.delete(state.focus, user.id);
                 },
+                lockPath(state, { path, user }) {
+                    Vue.set(state.pathLocks, path, user);
+                },
+                unlockPath(state, path) {
+                    Vue.delete(state.pathLocks, path);
+                },
                 setSaveStatus(state, status) {
                     state.saveStatus = status;
                 },
                 setOriginalValues(state, values) {
                     state.originalValues = values;
+                },
+                setOriginalMeta(state, meta) {
+                    state.originalMeta = meta;
+                },
+                addActivity(state, event) {
+                    // Events seen live and recorded by the server share an id, the server's copy wins
+                    const index = state.activity.findIndex(other => other.id === event.id);
+                    if (index !== -1) {
+                        state.activity.splice(index, 1, { ...state.activity[index], ...event });
+                        return;
+                    }
+
+                    state.activity.push(event);
+                    state.activity.sort((a, b) => a.at - b.at);
+                    if (state.activity.length > 200) state.activity.splice(0, state.activity.length - 200);
+                },
+                setHistory(state, history) {
+                    state.history = history;
+                },
+                setFollowing(state, userId) {
+                    state.following = userId;
+                },
+                setThreads(state, threads) {
+                    state.comments = Object.fromEntries(threads.map(thread => [thread.id, thread]));
+                },
+                setThread(state, thread) {
+                    Vue.set(state.comments, thread.id, thread);
+                },
+                removeThread(state, id) {
+                    Vue.delete(state.comments, id);
+                },
+                endActivity(state, { id, until }) {
+                    const event = state.activity.find(other => other.id === id);
+                    if (event) Vue.set(event, 'until', until);
                 }
             }
         });
+
+        // Reflect set locks in the publish form whenever they change
+        this.pathLocksWatcher = Statamic.$store.watch(
+            state => state.collaboration[this.channelName].pathLocks,
+            () => Vue.nextTick(() => this.refreshPathLocks()),
+            { deep: true }
+        );
+
+        // Show who is in each field next to its label
+        this.presenceBadges = {};
+        this.focusWatcher = Statamic.$store.watch(
+            state => state.collaboration[this.channelName].focus,
+            () => Vue.nextTick(() => this.mountPresenceBadges()),
+            { deep: true }
+        );
+    }
+
+    /**
+     * Mount a presence badge next to the label of every focused field that doesn't have one yet.
+     * Badges read the focus state from the store, so they update themselves afterwards.
+     */
+    mountPresenceBadges() {
+        const root = this.container.$el;
+        if (!root) return;
+
+        const focus = Statamic.$store.state.collaboration[this.channelName]?.focus || {};
+        const FieldPresence = Vue.component('CollaborationFieldPresence');
+
+        Object.values(focus).forEach(({ handle }) => {
+            const existing = this.presenceBadges[handle];
+            if (existing && document.body.contains(existing.$el)) return;
+            if (existing) existing.$destroy();
+
+            const label = fieldElement(root, handle)?.querySelector('.publish-field-label, label');
+            if (!label) return;
+
+            const badge = new FieldPresence({
+                store: Statamic.$store,
+                propsData: { channelName: this.channelName, containerName: this.container.name, handle, windowId: this.windowId },
+            }).$mount();
+
+            label.appendChild(badge.$el);
+            this.presenceBadges[handle] = badge;
+        });
+    }
+
+    /**
+     * Mark locked sets in the publish form so they can't be edited.
+     * Sets are marked with the name of the user holding the lock, which is shown as a label.
+     */
+    refreshPathLocks() {
+        const root = this.container.$el;
+        if (!root) return;
+
+        root.querySelectorAll('[data-collaboration-locked-by]').forEach(el => {
+            el.removeAttribute('data-collaboration-locked-by');
+            el.removeAttribute('inert');
+        });
+
+        const locks = Statamic.$store.state.collaboration[this.channelName]?.pathLocks || {};
+        Object.keys(locks).forEach(path => {
+            const el = elementForPath(root, path, this.values);
+            if (!el) return;
+            el.setAttribute('data-collaboration-locked-by', locks[path].name);
+            el.setAttribute('inert', '');
+        });
     }
 
     /**
@@ -623,12 +1024,151 @@ export default class Workspace {
         const component = this.container.pushComponent('CollaborationStatusBar', {
             props: {
                 channelName: this.channelName,
+                containerName: this.container.name,
             }
         });
 
         component.on('unlock', (targetUser) => {
-            this.whisper('force-unlock', { targetUser, originUser: this.user, windowId: this.windowId });
+            this.forceUnlock(targetUser);
+        });
+
+        component.on('review-changes', () => {
+            this.openChangesPanel();
+        });
+
+        component.on('undo', () => this.undoHistory.undo());
+        component.on('redo', () => this.undoHistory.redo());
+        component.on('comments', () => this.comments.open());
+        component.on('follow', user => this.followMode.start(user));
+        component.on('unfollow', () => this.followMode.stop());
+    }
+
+    /**
+     * Open the panel listing the changes since the last save.
+     */
+    openChangesPanel() {
+        if (this.changesPanel) return;
+
+        this.changesPanel = Statamic.$components.append('CollaborationChangesPanel', {
+            props: {
+                channelName: this.channelName,
+                containerName: this.container.name,
+            }
+        });
+
+        this.changesPanel.on('revert', handle => this.revertField(handle));
+        this.changesPanel.on('closed', () => {
+            this.changesPanel.destroy();
+            this.changesPanel = null;
+        });
+    }
+
+    /**
+     * Revert a field to its saved value. The revert is a local change like any other,
+     * so it's persisted and other windows are told to sync right away.
+     * @param {string} handle - The field handle
+     */
+    async revertField(handle) {
+        const { originalValues, originalMeta } = Statamic.$store.state.collaboration[this.channelName];
+
+        // Someone else editing the field (or a set in it) would overwrite the revert
+        const lockedBy = this.lockedBy(handle);
+        if (lockedBy) {
+            Statamic.$toast.error(`${this.formatFieldName(handle)} is being edited by ${lockedBy.name}.`);
+            return;
+        }
+
+        Statamic.$store.commit(`publish/${this.container.name}/setFieldValue`, {
+            handle,
+            value: clone(originalValues[handle] ?? null),
         });
+        if (originalMeta?.[handle] !== undefined) {
+            Statamic.$store.commit(`publish/${this.container.name}/setFieldMeta`, { handle, value: clone(originalMeta[handle]) });
+        }
+
+        this.debug(`Reverted ${handle} to its saved value`);
+
+        await this.persistNow();
+    }
+
+    /**
+     * Get the user editing a field (or a set in it), other than us.
+     * @param {string} handle - The field handle
+     * @returns {Object|null}
+     */
+    lockedBy(handle) {
+        const { focus, pathLocks } = Statamic.$store.state.collaboration[this.channelName];
+
+        return Object.values(focus).find(entry => entry.handle === handle && entry.user.id !== this.user.id)?.user
+            || Object.entries(pathLocks).find(([path]) => handleOf(path) === handle)?.[1]
+            || null;
+    }
+
+    /**
+     * Persist pending changes right away and tell other clients to fetch them,
+     * for changes made while no field is focused (e.g. reverts and undos).
+     */
+    async persistNow() {
+        await this.persistAllChanges();
+
+        // Tell other clients to fetch what we just sent
+        if (!this.hasPendingChanges) {
+            this.channel.whisper('sync-now', { windowId: this.windowId });
+        }
+    }
+
+    /**
+     * Check if the current user may force unlock fields, as told by the presence channel.
+     * @returns {boolean}
+     */
+    canForceUnlock() {
+        const users = Statamic.$store.state.collaboration[this.channelName].users;
+        return !!users.find(user => user.id === this.user.id)?.can_force_unlock;
+    }
+
+    /**
+     * Ask the server to force unlock the field another user is editing.
+     * The server checks our permission, logs the unlock and broadcasts it to the target.
+     * @param {Object} targetUser - The user whose field should be unlocked
+     */
+    async forceUnlock(targetUser) {
+        const focus = Statamic.$store.state.collaboration[this.channelName].focus[targetUser.id];
+        const cpUrl = Statamic.$config.get('cpUrl') || '/cp';
+        const url = this.stateApiUrl.replace(`${cpUrl}/collaboration/state/`, `${cpUrl}/collaboration/force-unlock/`);
+
+        try {
+            const response = await this.fetchWithTimeout(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'X-CSRF-TOKEN': this.csrfToken,
+                },
+                credentials: 'same-origin',
+                body: JSON.stringify({
+                    target_user: { id: targetUser.id, name: targetUser.name },
+                    handle: focus?.handle || null,
+                    path: focus?.path || null,
+                }),
+            });
+
+            if (response.status === 403) {
+                Statamic.$toast.error('You are not allowed to force unlock fields.');
+                return;
+            }
+
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            // Without a broadcasting server (local transports), we pass the unlock on ourselves
+            const { unlock } = await response.json();
+            this.channel.dispatch?.('.collaboration.force-unlocked', unlock);
+
+            this.debug('Force unlock sent', { targetUser });
+        } catch (error) {
+            this.debug('Failed to force unlock', { error });
+            Statamic.$toast.error('Could not unlock the field. Please try again.');
+        }
     }
 
     /**
@@ -640,18 +1180,19 @@ export default class Workspace {
         Statamic.$hooks.on('entry.saved', (resolve, _reject, { reference }) => {
             if (reference === this.container.reference) {
                 // Update local state to reflect save
-                const currentValues = Statamic.$store.state.publish[this.container.name].values;
-                Statamic.$store.commit(`collaboration/${this.channelName}/setOriginalValues`, clone(currentValues));
+                this.rememberSavedState();
                 Statamic.$store.commit(`collaboration/${this.channelName}/setSaveStatus`, 'saved');
 
                 this.unsavedToastShown = false;
                 this.notSavedToastShown = false;
 
-                // Clear cached state (no longer needed after save)
-                this.clearCachedState();
+                // Clear cached state (no longer needed after save), the server records the save
+                const activityId = this.activity.record('saved', { user: this.user, window: this.windowId });
+                this.clearCachedState(null, activityId);
 
                 // Notify all windows (force=true includes our own other windows)
-                this.whisper('saved', { user: this.user, windowId: this.windowId }, { force: true });
+                this.whisper('saved', { user: this.user, windowId: this.windowId, activityId }, { force: true });
+                this.emit('saved', { user: this.user, local: true });
             }
             resolve();
         });
@@ -659,7 +1200,9 @@ export default class Workspace {
         // Hook into entry publish
         Statamic.$hooks.on('entry.published', (resolve, _reject, { reference, message }) => {
             if (reference === this.container.reference) {
-                this.whisper('published', { user: this.user, message, windowId: this.windowId }, { force: true });
+                const activityId = this.activity.record('published', { user: this.user, window: this.windowId });
+                this.whisper('published', { user: this.user, message, windowId: this.windowId, activityId }, { force: true });
+                this.emit('published', { user: this.user, message, local: true });
             }
             resolve();
         });
@@ -683,27 +1226,54 @@ export default class Workspace {
         // Handle field focus
         this.container.$on('focus', handle => {
             const user = this.user;
+            const path = pathFromElement(document.activeElement, this.container.$el, handle, this.values);
+
+            // Editing ourselves ends following someone else
+            this.followMode.stop();
 
             // Cancel any pending unlock for this field
-            this.cancelPendingUnlock(handle);
+            this.cancelPendingUnlock(setPathOf(path));
 
             // Start tracking this field and begin sync interval
             this.currentFocusedField = handle;
+            this.currentFocusedPath = path;
             this.startSyncInterval();
             this.resetFieldInactivityTimer();
 
-            this.focus(user, handle);
-            this.whisper('focus', { user, handle, windowId: this.windowId });
+            this.focus(user, handle, path);
+            this.whisper('focus', { user, handle, path, windowId: this.windowId });
         });
 
+        // Moving between sets of the focused field doesn't emit new focus events, so follow the DOM focus
+        this.focusinHandler = () => {
+            const handle = this.currentFocusedField;
+            if (!handle) return;
+
+            const path = pathFromElement(document.activeElement, this.container.$el, handle, this.values);
+            if (path === this.currentFocusedPath) return;
+
+            this.currentFocusedPath = path;
+            this.focus(this.user, handle, path);
+            this.whisper('focus', { user: this.user, handle, path, windowId: this.windowId });
+        };
+        document.addEventListener('focusin', this.focusinHandler);
+
         // Handle field blur
         this.container.$on('blur', async handle => {
+            // The field is being handed over to someone else, which takes care of releasing it
+            if (this.handingOffField === handle) {
+                this.handingOffField = null;
+                return;
+            }
+
             const user = this.user;
+            const path = this.currentFocusedPath || handle;
 
             // Stop sync and inactivity tracking
             this.stopSyncInterval();
             this.clearFieldInactivityTimer();
             this.currentFocusedField = null;
+            this.currentFocusedPath = null;
 
             // Persist any pending changes before notifying others
             if (this.hasPendingChanges) {
@@ -715,10 +1285,10 @@ export default class Workspace {
 
             // Update local state and notify others
             this.blur(user);
-            this.whisper('blur', { user, handle, windowId: this.windowId });
+            this.whisper('blur', { user, handle, path, windowId: this.windowId });
 
             // Field stays locked for 3 more seconds (prevents race conditions)
-            this.scheduleDelayedUnlock(handle);
+            this.scheduleDelayedUnlock(handle, path);
         });
 
         // Track keyboard activity to reset inactivity timer
@@ -731,32 +1301,243 @@ export default class Workspace {
     }
 
     /**
-     * Start the sync interval timer.
-     * Persists changes to server every 3 seconds while a field is focused.
+     * Initialize the "request edit" handoff for locked fields.
+     * Clicking a field (or set) locked by someone else asks them to hand it over. They get an
+     * accept/decline prompt with a countdown; accepting persists their changes and transfers
+     * the lock directly to the requester. Force-unlock remains available if they don't respond.
      */
-    startSyncInterval() {
-        this.stopSyncInterval();
+    initializeEditRequests() {
+        this.lockedFieldClickHandler = event => {
+            if (!this.container.$el?.contains(event.target)) return;
 
-        this.debug(`Starting sync interval (every ${this.syncInterval}ms)`);
+            const lock = this.lockAt(event);
+            if (lock) this.requestEdit(lock);
+        };
+        document.addEventListener('click', this.lockedFieldClickHandler, true);
 
-        this.syncIntervalTimer = setInterval(() => {
-            if (this.hasPendingChanges) {
-                this.debug('Sync interval: persisting changes');
-                this.persistAllChanges();
+        // The lock holder is asked to hand over the field
+        this.listenForWhisper('edit-request', request => {
+            if (request.targetUser.id !== this.user.id) return;
+            if (request.targetWindowId && request.targetWindowId !== this.windowId) return;
+            if (this.currentFocusedField !== request.handle) return;
+
+            this.promptEditRequest(request);
+        });
+
+        // The lock was handed over: transfer it without unlocking in between
+        this.listenForWhisper('edit-granted', ({ requestId, handle, path, from, to, toWindowId, windowId }) => {
+            if (windowId === this.windowId) return;
+
+            this.debug('Edit request granted', { handle, path, from, to });
+
+            this.blur(from);
+            this.cancelPendingUnlock(setPathOf(path));
+
+            if (this.pendingEditRequest?.id === requestId) {
+                this.receiveHandedOverField(handle, path, from);
+            } else if (to.id !== this.user.id) {
+                this.focusAndLock(to, handle, path, toWindowId);
             }
-        }, this.syncInterval);
+        });
+
+        this.listenForWhisper('edit-declined', ({ requestId, from }) => {
+            if (this.pendingEditRequest?.id !== requestId) return;
+
+            this.clearPendingEditRequest();
+            Statamic.$toast.info(`${from.name} declined your request to edit.`, { duration: 3000 });
+        });
     }
 
     /**
-     * Stop the sync interval timer.
+     * Find the lock held by another user at the position of a click.
+     * @param {MouseEvent} event - The click event
+     * @returns {{handle: string, path: string, user: Object}|null}
      */
-    stopSyncInterval() {
-        if (this.syncIntervalTimer) {
-            clearInterval(this.syncIntervalTimer);
-            this.syncIntervalTimer = null;
-            this.debug('Stopped sync interval');
+    lockAt(event) {
+        const root = this.container.$el;
+
+        // Locked sets are inert, so match them by position rather than by event target
+        const pathLocks = Statamic.$store.state.collaboration[this.channelName]?.pathLocks || {};
+        for (const path of Object.keys(pathLocks)) {
+            const rect = elementForPath(root, path, this.values)?.getBoundingClientRect();
+            if (rect && event.clientX >= rect.left && event.clientX <= rect.right && event.clientY >= rect.top && event.clientY <= rect.bottom) {
+                return { handle: handleOf(path), path, user: pathLocks[path] };
+            }
         }
-    }
+
+        const fieldLocks = Statamic.$store.state.publish[this.container.name]?.fieldLocks || {};
+        for (const handle of Object.keys(fieldLocks)) {
+            if (fieldElement(root, handle)?.contains(event.target)) {
+                return { handle, path: handle, user: fieldLocks[handle] };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Ask the holder of a lock to hand the field over to us.
+     * @param {{handle: string, path: string, user: Object}} lock - The lock
+     */
+    requestEdit({ handle, path, user }) {
+        if (user.id === this.user.id || this.pendingEditRequest) return;
+
+        const focus = Statamic.$store.state.collaboration[this.channelName].focus[user.id];
+        const request = {
+            id: this.generateWindowId(),
+            handle,
+            path,
+            requester: this.user,
+            targetUser: user,
+            targetWindowId: focus?.windowId || null,
+            windowId: this.windowId,
+        };
+
+        this.debug('Requesting edit', request);
+        this.whisper('edit-request', request, { force: true });
+
+        // Without an answer, point to force-unlock as the escalation
+        this.pendingEditRequest = {
+            id: request.id,
+            timer: setTimeout(() => {
+                this.clearPendingEditRequest();
+                const escalation = this.canForceUnlock() ? ' You can force unlock from their avatar.' : '';
+                Statamic.$toast.info(`${user.name} didn't respond.${escalation}`, { duration: 5000 });
+            }, this.editRequestTimeout + 2000),
+        };
+
+        Statamic.$toast.info(`Asked ${user.name} to let you edit ${this.formatFieldPath(path)}.`, { duration: 2000 });
+    }
+
+    /**
+     * Forget the outstanding edit request.
+     */
+    clearPendingEditRequest() {
+        if (!this.pendingEditRequest) return;
+        clearTimeout(this.pendingEditRequest.timer);
+        this.pendingEditRequest = null;
+    }
+
+    /**
+     * Show the accept/decline prompt for an edit request on a field we hold.
+     * @param {Object} request - The edit request
+     */
+    promptEditRequest(request) {
+        // One prompt at a time, later requests time out on the requester's side
+        if (this.editRequestPrompt) return;
+
+        const prompt = Statamic.$components.append('CollaborationEditRequestPrompt', {
+            props: {
+                requester: request.requester,
+                field: this.formatFieldPath(request.path),
+                seconds: this.editRequestTimeout / 1000,
+            }
+        });
+        this.editRequestPrompt = prompt;
+
+        const close = () => {
+            prompt.destroy();
+            this.editRequestPrompt = null;
+        };
+
+        prompt.on('accept', () => {
+            close();
+            this.handOverField(request);
+        });
+
+        prompt.on('decline', () => {
+            close();
+            this.whisper('edit-declined', { requestId: request.id, from: this.user, windowId: this.windowId }, { force: true });
+        });
+    }
+
+    /**
+     * Hand the field we are editing over to the requester.
+     * Our changes are persisted first, then the lock goes straight to the requester.
+     * @param {Object} request - The accepted edit request
+     */
+    async handOverField(request) {
+        const { handle } = request;
+        const path = this.currentFocusedPath || request.path;
+
+        this.debug('Handing over field', { handle, path, to: request.requester });
+
+        // Release the field locally without broadcasting a blur (that would unlock it for everyone)
+        this.handingOffField = handle;
+        setTimeout(() => {
+            if (this.handingOffField === handle) this.handingOffField = null;
+        }, 1000);
+        document.activeElement?.blur();
+
+        this.stopSyncInterval();
+        this.clearFieldInactivityTimer();
+        this.currentFocusedField = null;
+        this.currentFocusedPath = null;
+
+        // Final persist, so the requester starts from our latest changes
+        if (this.hasPendingChanges) {
+            await this.persistAllChanges();
+        }
+
+        this.blur(this.user);
+        this.focusAndLock(request.requester, handle, path, request.windowId);
+
+        this.whisper('edit-granted', {
+            requestId: request.id,
+            handle,
+            path,
+            from: this.user,
+            to: request.requester,
+            toWindowId: request.windowId,
+            windowId: this.windowId,
+        }, { force: true });
+    }
+
+    /**
+     * Take over a field handed to us: fetch the holder's final changes, unlock and focus it.
+     * @param {string} handle - The field handle
+     * @param {string} path - The field path that was locked
+     * @param {Object} from - The user who handed it over
+     */
+    async receiveHandedOverField(handle, path, from) {
+        this.clearPendingEditRequest();
+
+        await this.loadCachedState('before-unlock');
+        this.unlock(setPathOf(path));
+
+        const field = fieldElementForPath(this.container.$el, path, this.values);
+        field?.querySelector('input:not([type=hidden]), textarea, [contenteditable="true"]')?.focus();
+
+        Statamic.$toast.success(`${from.name} handed ${this.formatFieldPath(path)} over to you.`, { duration: 3000 });
+    }
+
+    /**
+     * Start the sync interval timer.
+     * Persists changes to server every 3 seconds while a field is focused.
+     */
+    startSyncInterval() {
+        this.stopSyncInterval();
+
+        this.debug(`Starting sync interval (every ${this.syncInterval}ms)`);
+
+        this.syncIntervalTimer = setInterval(() => {
+            if (this.hasPendingChanges) {
+                this.debug('Sync interval: persisting changes');
+                this.persistAllChanges();
+            }
+        }, this.syncInterval);
+    }
+
+    /**
+     * Stop the sync interval timer.
+     */
+    stopSyncInterval() {
+        if (this.syncIntervalTimer) {
+            clearInterval(this.syncIntervalTimer);
+            this.syncIntervalTimer = null;
+            this.debug('Stopped sync interval');
+        }
+    }
 
     /**
      * Reset the field inactivity timer.
@@ -767,7 +1548,7 @@ export default class Workspace {
 
         this.fieldInactivityTimer = setTimeout(() => {
             if (this.currentFocusedField) {
-                this.debug(`Field "${this.currentFocusedField}" inactive for 30 seconds, auto-unlocking`);
+                this.debug(`Field "${this.currentFocusedField}" inactive for ${this.describeDuration(this.fieldInactivityTimeout)}, auto-unlocking`);
                 this.autoUnlockField(this.currentFocusedField);
             }
         }, this.fieldInactivityTimeout);
@@ -795,9 +1576,11 @@ export default class Workspace {
         }
 
         // Clean up tracking
+        const path = this.currentFocusedPath || handle;
         this.stopSyncInterval();
         this.clearFieldInactivityTimer();
         this.currentFocusedField = null;
+        this.currentFocusedPath = null;
 
         // Persist any pending changes before notifying
         if (this.hasPendingChanges) {
@@ -809,65 +1592,490 @@ export default class Workspace {
 
         // Update state and notify
         this.blur(this.user);
-        this.whisper('blur', { user: this.user, handle, windowId: this.windowId });
-        this.scheduleDelayedUnlock(handle);
+        this.whisper('blur', { user: this.user, handle, path, windowId: this.windowId });
+        this.scheduleDelayedUnlock(handle, path);
 
         Statamic.$toast.info('Field auto-unlocked due to inactivity.', { duration: 2000 });
     }
 
     /**
      * Persist all pending changes to the server.
+     * Sends only the fields changed since the last successful persist, unless a
+     * previous persist failed, in which case the full state is resent.
+     * Changes go through the leader window, which persists them for all local windows.
      * Called by sync interval and on blur.
      */
     async persistAllChanges() {
         if (!this.hasPendingChanges) return;
 
+        // Only the leader writes, so only the leader has to recover the server cache
+        if (this.fullResyncRequired && this.leader.isLeader) {
+            return this.persistFullState();
+        }
+
         this.hasPendingChanges = false;
 
+        // Take the dirty handles now so changes made during the request are kept for the next persist
+        const valueHandles = [...this.dirtyValueHandles];
+        const metaHandles = [...this.dirtyMetaHandles];
+        const queued = this.offlineQueue.sequence;
+        const unqueued = this.takeUnqueuedHandles();
+        this.dirtyValueHandles.clear();
+        this.dirtyMetaHandles.clear();
+
+        const { values: valuesPatch, meta: metaPatch } = this.buildPatch(valueHandles, metaHandles);
+
+        try {
+            await this.leader.persist(valuesPatch, metaPatch);
+            this.debug('Persisted changed fields to server', { valueHandles, metaHandles });
+            this.clearOfflineQueue(queued);
+        } catch (error) {
+            this.debug('Failed to persist changes', { error });
+            valueHandles.forEach(handle => this.dirtyValueHandles.add(handle));
+            metaHandles.forEach(handle => this.dirtyMetaHandles.add(handle));
+            this.hasPendingChanges = true; // Retry on next interval
+            this.queueChanges(unqueued);
+
+            // Still stale after rebasing, or the state was locked by another request: try again on the next interval
+            if (error.status === 409 || error.status === 423) return;
+
+            if (this.leader.isLeader) this.fullResyncRequired = true;
+        }
+    }
+
+    /**
+     * Send a field patch to the server. If it's rejected as stale, rebase onto the
+     * latest state and retry. Used by the leader window to persist (batched) patches.
+     * @param {Object} values - Changed field values keyed by handle
+     * @param {Object} meta - Changed field meta keyed by handle
+     * @param {Object} windows - The window each field was changed in, keyed by handle
+     * @returns {Promise<string[]>} Handles found to conflict while rebasing, for the windows they were changed in to report
+     * @throws {Error} When the patch couldn't be persisted (409 when still stale after rebasing, 423 when the state was locked),
+     *   with the conflicts found until then
+     */
+    async sendStatePatchWithRebase(values, meta, windows = {}) {
+        const conflicts = [];
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.sendStatePatch(values, meta, windows);
+                return conflicts;
+            } catch (error) {
+                const inFlight = { values: Object.keys(values), meta: Object.keys(meta) };
+                const rebased = error.status === 409 && attempt < this.maxRebaseAttempts
+                    ? await this.rebaseOnLatestState(inFlight)
+                    : null;
+
+                if (!rebased) {
+                    error.conflicts = conflicts;
+                    throw error;
+                }
+                rebased.forEach(handle => conflicts.includes(handle) || conflicts.push(handle));
+            }
+        }
+    }
+
+    /**
+     * Build a patch of the current values and meta for the given handles.
+     * @param {string[]} valueHandles - Handles to include values for
+     * @param {string[]} metaHandles - Handles to include meta for
+     * @returns {{values: Object, meta: Object}}
+     */
+    buildPatch(valueHandles, metaHandles) {
         const values = Statamic.$store.state.publish[this.container.name].values;
         const meta = Statamic.$store.state.publish[this.container.name].meta;
 
+        const patch = { values: {}, meta: {} };
+        valueHandles.filter(handle => this.isCollaborative(handle)).forEach(handle => patch.values[handle] = this.adapterFor(handle).serialize(values[handle]));
+        metaHandles.filter(handle => this.isCollaborative(handle)).forEach(handle => patch.meta[handle] = meta[handle]);
+
+        return patch;
+    }
+
+    /**
+     * Persist the complete values and meta to the server, replacing the cached state.
+     * Used to recover after failed persists, when the server cache may be missing fields.
+     * @param {number} attempt - The current attempt (incremented on each rebase)
+     */
+    async persistFullState(attempt = 1) {
+        this.hasPendingChanges = false;
+
+        const values = this.serializeValues(this.onlyCollaborative(Statamic.$store.state.publish[this.container.name].values));
+        const meta = this.onlyCollaborative(Statamic.$store.state.publish[this.container.name].meta);
+
+        // Everything is included in a full update, so nothing remains dirty
+        const valueHandles = [...this.dirtyValueHandles];
+        const metaHandles = [...this.dirtyMetaHandles];
+        const queued = this.offlineQueue.sequence;
+        const unqueued = this.takeUnqueuedHandles();
+        this.dirtyValueHandles.clear();
+        this.dirtyMetaHandles.clear();
+
         try {
             await this.sendFullStateUpdate(values, meta);
-            this.debug('Persisted all changes to server');
+            this.fullResyncRequired = false;
+            this.debug('Persisted full state to server');
+            this.clearOfflineQueue(queued);
         } catch (error) {
-            this.debug('Failed to persist changes', { error });
+            this.debug('Failed to persist full state', { error });
+            valueHandles.forEach(handle => this.dirtyValueHandles.add(handle));
+            metaHandles.forEach(handle => this.dirtyMetaHandles.add(handle));
             this.hasPendingChanges = true; // Retry on next interval
+            this.queueChanges(unqueued);
+
+            if (error.status === 409) {
+                const conflicts = attempt < this.maxRebaseAttempts
+                    ? await this.rebaseOnLatestState({ values: valueHandles, meta: metaHandles })
+                    : null;
+
+                if (conflicts) {
+                    this.notifyConflicts(conflicts);
+                    return this.persistFullState(attempt + 1);
+                }
+                return;
+            }
+
+            // The state was locked by another request, try again on the next interval
+            if (error.status === 423) return;
+        }
+    }
+
+    /**
+     * Queue a locally changed field for the offline queue. Changed fields are written
+     * together at most once per sync interval, so typing doesn't write on every keystroke.
+     * @param {string} handle - The field handle
+     */
+    queueChange(handle) {
+        this.unqueuedHandles.add(handle);
+
+        if (!this.queueTimer) {
+            this.queueTimer = setTimeout(() => this.flushOfflineQueue(), this.syncInterval);
+        }
+    }
+
+    /**
+     * Write fields to the offline queue right away, e.g. after they failed to persist.
+     * @param {string[]} handles - The field handles
+     */
+    queueChanges(handles) {
+        handles.forEach(handle => this.unqueuedHandles.add(handle));
+        this.flushOfflineQueue();
+    }
+
+    /**
+     * Take the fields that weren't written to the offline queue yet, because a persist
+     * includes them. They're only queued when that persist fails.
+     * @returns {string[]}
+     */
+    takeUnqueuedHandles() {
+        const handles = [...this.unqueuedHandles];
+        this.unqueuedHandles.clear();
+        clearTimeout(this.queueTimer);
+        this.queueTimer = null;
+
+        return handles;
+    }
+
+    /**
+     * Write the current value and meta of the queued fields to the offline queue.
+     * @returns {Promise<number>|undefined} The number of the write
+     */
+    flushOfflineQueue() {
+        const handles = this.takeUnqueuedHandles();
+        if (!handles.length) return;
+
+        const { values, meta } = this.buildPatch(handles, handles);
+        this.hasQueuedChanges = true;
+
+        return this.offlineQueue.save(values, meta);
+    }
+
+    /**
+     * Remove our offline queue records after a successful persist, up to the last write
+     * before the persist started (fields written since weren't included).
+     * @param {number} sequence - The number of the last included write
+     */
+    clearOfflineQueue(sequence) {
+        if (!this.hasQueuedChanges) return;
+
+        if (sequence === this.offlineQueue.sequence) this.hasQueuedChanges = false;
+        this.offlineQueue.removeUpTo(sequence);
+        this.debug('Cleared offline queue', { sequence });
+    }
+
+    /**
+     * Replay our queued changes once both the state API and the WebSocket are reachable.
+     */
+    async replayOfflineQueue() {
+        if (!this.hasQueuedChanges) return;
+
+        if (!navigator.onLine || !this.transport.isConnected()) return;
+
+        this.debug('Connection available, replaying offline queue');
+
+        const records = await this.offlineQueue.own();
+        records.forEach(record => {
+            Object.keys(record.values || {}).forEach(handle => this.dirtyValueHandles.add(handle));
+            Object.keys(record.meta || {}).forEach(handle => this.dirtyMetaHandles.add(handle));
+            this.hasPendingChanges = true;
+        });
+
+        await this.persistAllChanges();
+
+        // Tell other clients to fetch what we just sent
+        if (!this.hasPendingChanges) {
+            this.channel.whisper('sync-now', { windowId: this.windowId });
+        }
+    }
+
+    /**
+     * Offer to restore queued changes left behind by windows that were closed before
+     * their changes reached the server. Only fields that differ from the current state are offered.
+     */
+    async offerOfflineRecovery() {
+        const openWindows = new Set([this.windowId, ...this.activeWindows, ...this.localWindows]);
+        const records = (await this.offlineQueue.all()).filter(record => !openWindows.has(record.windowId));
+        if (!records.length) return;
+
+        const discard = () => records.forEach(record => this.offlineQueue.remove(record.key));
+
+        // Records are sorted oldest first, so newer changes win
+        const values = {};
+        const meta = {};
+        records.forEach(record => {
+            _.each(record.values, (value, handle) => values[handle] = this.adapterFor(handle).deserialize(value));
+            Object.assign(meta, record.meta);
+        });
+
+        const currentValues = Statamic.$store.state.publish[this.container.name].values;
+        const handles = Object.keys(values).filter(handle => {
+            return !this.adapterFor(handle).equals(values[handle], currentValues[handle]);
+        });
+
+        if (!handles.length) return discard();
+
+        const fields = handles.map(handle => this.formatFieldName(handle)).join(', ');
+        const queuedAt = new Date(records[records.length - 1].updatedAt).toLocaleString();
+
+        const component = Statamic.$components.append('CollaborationBlockingNotification', {
+            props: {
+                title: 'Recover Unsynced Changes',
+                message: `Changes to ${fields} made on ${queuedAt} never reached the server. Do you want to restore them?`,
+                confirmText: 'Restore',
+                cancelText: 'Discard',
+            }
+        });
+
+        component.on('confirm', () => {
+            component.destroy();
+            discard();
+            this.restoreOfflineChanges(handles, values, meta);
+        });
+
+        component.on('cancel', () => {
+            component.destroy();
+            discard();
+        });
+    }
+
+    /**
+     * Apply recovered changes as local changes and persist them.
+     * @param {string[]} handles - The handles to restore
+     * @param {Object} values - Recovered values keyed by handle
+     * @param {Object} meta - Recovered meta keyed by handle
+     */
+    async restoreOfflineChanges(handles, values, meta) {
+        handles.forEach(handle => {
+            Statamic.$store.commit(`publish/${this.container.name}/setFieldValue`, { handle, value: values[handle] });
+            if (meta[handle] !== undefined) {
+                Statamic.$store.commit(`publish/${this.container.name}/setFieldMeta`, { handle, value: meta[handle] });
+            }
+        });
+
+        this.debug('Restored changes from offline queue', { handles });
+
+        await this.persistAllChanges();
+        this.channel.whisper('sync-now', { windowId: this.windowId });
+    }
+
+    /**
+     * Load the cached state after joining the channel. When nobody else has the entry open,
+     * unsaved changes in the cache were left behind by someone, so they're offered as a draft
+     * to keep or discard per field, instead of being merged into the form as if they were saved.
+     * @param {Object[]} users - The users present on the channel
+     */
+    async loadInitialState(users) {
+        if (users.length > 1 || await this.hasOtherLocalWindows()) {
+            return this.loadCachedState('channel.here');
+        }
+
+        let data = null;
+        try {
+            data = await this.fetchCachedState();
+        } catch (error) {
+            this.debug('Failed to load cached state', { error });
         }
+        if (!data) return;
+
+        const fields = this.draftFields(data);
+        if (!fields.length) {
+            return this.loadCachedState('channel.here', data);
+        }
+
+        this.offerDraftRecovery(data, fields);
     }
 
     /**
-     * Schedule a delayed unlock for a field.
+     * Check if other windows of this browser have the entry open. Their replies to our
+     * announcement on the local channel may not have arrived yet, so the leader lock queue
+     * is asked instead, or without Web Locks the replies are given a moment to come in.
+     * @returns {Promise<boolean>}
+     */
+    async hasOtherLocalWindows() {
+        if (this.localWindows.size) return true;
+
+        const others = await this.leader.hasOtherWindows();
+        if (others !== null) return others;
+
+        await new Promise(resolve => setTimeout(resolve, this.localHandshakeMs));
+        return this.localWindows.size > 0;
+    }
+
+    /**
+     * Get the fields whose cached value differs from the saved entry.
+     * @param {Object} data - The state API response
+     * @returns {Object[]} { handle, name, user, at } for each field, user and at telling who changed it last and when
+     */
+    draftFields(data) {
+        if (!data.exists) return [];
+
+        const savedValues = Statamic.$store.state.collaboration[this.channelName].originalValues || {};
+
+        return Object.keys(this.onlyCollaborative(data.values || {}))
+            .filter(handle => {
+                const adapter = this.adapterFor(handle);
+                return !adapter.equals(adapter.deserialize(data.values[handle]), savedValues[handle] ?? null);
+            })
+            .map(handle => ({
+                handle,
+                name: this.formatFieldName(handle),
+                user: data.changes?.[handle]?.user || null,
+                at: data.changes?.[handle]?.at || null,
+            }));
+    }
+
+    /**
+     * Ask which of the draft's fields to keep. Kept fields are applied to the form,
+     * discarded ones are cleared from the server cache.
+     * @param {Object} data - The state API response
+     * @param {Object[]} fields - The draft fields, see draftFields()
+     */
+    offerDraftRecovery(data, fields) {
+        this.debug('Offering draft recovery', { handles: fields.map(field => field.handle) });
+
+        const component = Statamic.$components.append('CollaborationDraftRecoveryDialog', {
+            props: { fields }
+        });
+
+        component.on('resolve', async kept => {
+            component.destroy();
+
+            const discarded = fields.map(field => field.handle).filter(handle => !kept.includes(handle));
+            const withoutDiscarded = (source = {}) => Object.fromEntries(
+                Object.entries(source).filter(([handle]) => !discarded.includes(handle))
+            );
+
+            this.debug('Resolved draft recovery', { kept, discarded });
+
+            await this.loadCachedState('draft-recovery', {
+                ...data,
+                values: withoutDiscarded(data.values),
+                meta: withoutDiscarded(data.meta),
+            });
+
+            if (discarded.length) await this.clearCachedState(discarded);
+        });
+    }
+
+    /**
+     * Fetch the latest cached state and apply it underneath our unpersisted changes.
+     * Called after the server rejected an update because our base revision was stale.
+     * The fields of the rejected update are no longer dirty (they were taken for the request),
+     * so they're passed along to be kept and checked for conflicts like unpersisted changes.
+     * Conflicts are returned rather than shown, as the update may hold changes of other windows.
+     * @param {{values: string[], meta: string[]}} inFlight - Handles of the update being retried
+     * @returns {Promise<string[]|null>} The conflicting handles, or null if the latest state couldn't be fetched and applied
+     */
+    async rebaseOnLatestState(inFlight = { values: [], meta: [] }) {
+        this.debug(`Rebasing local changes from revision ${this.revision}`);
+
+        try {
+            const data = await this.fetchCachedState();
+            if (!data) return null;
+
+            this.applyingBroadcast = true;
+            try {
+                return this.applyCachedState(data, inFlight);
+            } finally {
+                this.applyingBroadcast = false;
+            }
+        } catch (error) {
+            this.debug('Failed to rebase on latest state', { error });
+            return null;
+        }
+    }
+
+    /**
+     * Show a notice for fields that were changed both locally and by someone else.
+     * Our local version is kept and persisted over the other change.
+     * @param {string[]} handles - The conflicting field handles
+     */
+    notifyConflicts(handles) {
+        if (!handles.length) return;
+
+        this.debug('Conflicting changes detected', { handles });
+
+        const fields = handles.map(handle => this.formatFieldName(handle)).join(', ');
+        Statamic.$toast.error(
+            `${fields} was also changed by someone else. Your version has been kept, please review it before saving.`,
+            { duration: false }
+        );
+    }
+
+    /**
+     * Schedule a delayed unlock for a field or set.
      * Field remains locked for 3 seconds after blur, then fetches latest data before unlocking.
      * @param {string} handle - The field handle to unlock
+     * @param {string} path - The field path that was focused (defaults to the handle)
      */
-    scheduleDelayedUnlock(handle) {
-        this.cancelPendingUnlock(handle);
+    scheduleDelayedUnlock(handle, path = handle) {
+        const lockPath = setPathOf(path || handle);
+        this.cancelPendingUnlock(lockPath);
 
-        this.debug(`Scheduling unlock for "${handle}" in ${this.fieldUnlockDelay}ms`);
+        this.debug(`Scheduling unlock for "${lockPath}" in ${this.fieldUnlockDelay}ms`);
 
-        this.pendingFieldUnlocks[handle] = setTimeout(async () => {
-            this.debug(`Fetching data before unlocking "${handle}"`);
+        this.pendingFieldUnlocks[lockPath] = setTimeout(async () => {
+            this.debug(`Fetching data before unlocking "${lockPath}"`);
 
             // Fetch latest data BEFORE unlocking to ensure UI shows current state
             await this.loadCachedState('before-unlock');
 
-            this.debug(`Executing delayed unlock for "${handle}"`);
-            Statamic.$store.commit(`publish/${this.container.name}/unlockField`, handle);
-            delete this.pendingFieldUnlocks[handle];
+            this.debug(`Executing delayed unlock for "${lockPath}"`);
+            this.unlock(lockPath);
+            delete this.pendingFieldUnlocks[lockPath];
         }, this.fieldUnlockDelay);
     }
 
     /**
      * Cancel a pending field unlock.
      * Called when user re-focuses a field before unlock timeout.
-     * @param {string} handle - The field handle
+     * @param {string} lockPath - The field handle, or set path for sets
      */
-    cancelPendingUnlock(handle) {
-        if (this.pendingFieldUnlocks[handle]) {
-            clearTimeout(this.pendingFieldUnlocks[handle]);
-            delete this.pendingFieldUnlocks[handle];
-            this.debug(`Cancelled pending unlock for "${handle}"`);
+    cancelPendingUnlock(lockPath) {
+        if (this.pendingFieldUnlocks[lockPath]) {
+            clearTimeout(this.pendingFieldUnlocks[lockPath]);
+            delete this.pendingFieldUnlocks[lockPath];
+            this.debug(`Cancelled pending unlock for "${lockPath}"`);
         }
     }
 
@@ -875,19 +2083,47 @@ export default class Workspace {
      * Track focus state for a user in the Vuex store.
      * @param {Object} user - The user object
      * @param {string} handle - The field handle
+     * @param {string} path - The focused field path (defaults to the handle)
+     * @param {string} windowId - The window the user is focused in (defaults to ours)
      */
-    focus(user, handle) {
-        Statamic.$store.commit(`collaboration/${this.channelName}/focus`, { user, handle });
+    focus(user, handle, path = handle, windowId = this.windowId) {
+        Statamic.$store.commit(`collaboration/${this.channelName}/focus`, { user, handle, path, windowId });
+        this.activity.focused(user, handle, windowId);
     }
 
     /**
      * Track focus and lock the field (prevents other users from editing).
+     * When the path points inside a set, only that set is locked.
      * @param {Object} user - The user object
      * @param {string} handle - The field handle
+     * @param {string} path - The focused field path (defaults to the handle)
+     * @param {string} windowId - The window the user is focused in
+     */
+    focusAndLock(user, handle, path = handle, windowId = null) {
+        this.focus(user, handle, path, windowId);
+
+        const lockPath = setPathOf(path || handle);
+        if (isNestedPath(lockPath)) {
+            Statamic.$store.commit(`collaboration/${this.channelName}/lockPath`, { user, path: lockPath });
+        } else {
+            Statamic.$store.commit(`publish/${this.container.name}/lockField`, { user, handle });
+        }
+
+        this.emit('field-locked', { user, handle, path: lockPath });
+    }
+
+    /**
+     * Unlock a field, or a single set when given a set path.
+     * @param {string} lockPath - The field handle, or set path for sets
      */
-    focusAndLock(user, handle) {
-        this.focus(user, handle);
-        Statamic.$store.commit(`publish/${this.container.name}/lockField`, { user, handle });
+    unlock(lockPath) {
+        if (isNestedPath(lockPath)) {
+            Statamic.$store.commit(`collaboration/${this.channelName}/unlockPath`, lockPath);
+        } else {
+            Statamic.$store.commit(`publish/${this.container.name}/unlockField`, lockPath);
+        }
+
+        this.emit('field-unlocked', { handle: handleOf(lockPath), path: lockPath });
     }
 
     /**
@@ -896,18 +2132,79 @@ export default class Workspace {
      */
     blur(user) {
         Statamic.$store.commit(`collaboration/${this.channelName}/blur`, user);
+        this.activity.blurred(user);
     }
 
     /**
-     * Clear focus and unlock the field.
+     * Clear focus and unlock the field (or set) the user was focused on.
      * @param {Object} user - The user object
      * @param {string|null} handle - The field handle (auto-detected if not provided)
      */
     blurAndUnlock(user, handle = null) {
-        handle = handle || data_get(Statamic.$store.state.collaboration[this.channelName], `focus.${user.id}.handle`);
+        const path = this.focusedPathOf(user);
+        handle = handle || (path && handleOf(path));
         if (!handle) return;
         this.blur(user);
-        Statamic.$store.commit(`publish/${this.container.name}/unlockField`, handle);
+        this.unlock(setPathOf(path && handleOf(path) === handle ? path : handle));
+    }
+
+    /**
+     * Get the field path a user is currently focused on.
+     * @param {Object} user - The user object
+     * @returns {string|null}
+     */
+    focusedPathOf(user) {
+        const focus = data_get(Statamic.$store.state.collaboration[this.channelName], `focus.${user.id}`);
+        return focus ? (focus.path || focus.handle) : null;
+    }
+
+    /**
+     * Merge a remote (serialized) value of a field into ours, through the fieldtype's adapter.
+     * By default the remote value wins, except for the set we are editing, so edits made by
+     * others in the other sets come through.
+     * @param {string} handle - The field handle
+     * @param {*} incoming - The remote field value
+     * @returns {*} The value to apply
+     */
+    mergeRemoteValue(handle, incoming) {
+        const adapter = this.adapterFor(handle);
+        const current = Statamic.$store.state.publish[this.container.name].values[handle];
+
+        const path = this.currentFocusedPath;
+        const lockPath = path && handleOf(path) === handle ? setPathOf(path) : null;
+        const setPath = lockPath && isNestedPath(lockPath) ? lockPath.slice(handle.length + 1) : null;
+
+        return adapter.merge(current, adapter.deserialize(incoming), { handle, setPath });
+    }
+
+    /**
+     * Get the adapter of a field's fieldtype (see FieldtypeAdapters).
+     * @param {string} handle - The field handle
+     * @returns {Object}
+     */
+    adapterFor(handle) {
+        return FieldtypeAdapters.for(this.fieldtypeOf(handle));
+    }
+
+    /**
+     * Check whether two values of a field differ, through its adapter.
+     * Missing values are compared as null.
+     * @param {string} handle - The field handle
+     * @param {*} a
+     * @param {*} b
+     * @returns {boolean}
+     */
+    valuesDiffer(handle, a, b) {
+        return !this.adapterFor(handle).equals(a ?? null, b ?? null);
+    }
+
+    /**
+     * Serialize field values for other windows and the state cache, through their adapters.
+     * @param {Object} values - Values keyed by handle
+     * @returns {Object}
+     */
+    serializeValues(values) {
+        return _.mapObject(values, (value, handle) => this.adapterFor(handle).serialize(value));
     }
 
     /**
@@ -937,15 +2234,28 @@ export default class Workspace {
             return;
         }
 
+        const previousValue = this.lastValues[payload.handle];
+
         this.rememberChange('value', payload.handle, payload.value);
         this.updateSaveStatus();
         this.resetActivityTimer();
 
         // Only mark as pending if this is a local change (not from broadcast)
         if (!this.applyingBroadcast) {
+            this.undoHistory.record(payload.handle, previousValue, payload.value);
+
+            // Fields kept out of collaboration can be undone, but are never persisted or synced
+            if (!this.isCollaborative(payload.handle)) return;
+
             this.lastLocalChangeTime = Date.now();
             this.hasPendingChanges = true;
+            this.dirtyValueHandles.add(payload.handle);
+            this.queueChange(payload.handle);
             this.debug(`Value changed for ${payload.handle}, marked as pending`);
+
+            if (this.coEditing.supports(payload.handle)) {
+                this.coEditing.localChange(payload.handle, previousValue, payload.value);
+            }
         }
     }
 
@@ -954,6 +2264,8 @@ export default class Workspace {
      * @param {Object} payload - The mutation payload with handle and value
      */
     vuexFieldMetaHasBeenSet(payload) {
+        if (!this.isCollaborative(payload.handle)) return;
+
         if (!this.hasChanged('meta', payload.handle, payload.value)) {
             return;
         }
@@ -963,6 +2275,8 @@ export default class Workspace {
 
         if (!this.applyingBroadcast) {
             this.hasPendingChanges = true;
+            this.dirtyMetaHandles.add(payload.handle);
+            this.queueChange(payload.handle);
             this.debug(`Meta changed for ${payload.handle}, marked as pending`);
         }
     }
@@ -988,6 +2302,9 @@ export default class Workspace {
     hasChanged(type, handle, newValue) {
         const cache = type === 'value' ? this.lastValues : this.lastMetaValues;
         const lastValue = cache[handle] || null;
+
+        if (type === 'value') return !this.adapterFor(handle).equals(lastValue, newValue);
+
         return JSON.stringify(lastValue) !== JSON.stringify(newValue);
     }
 
@@ -1011,7 +2328,8 @@ export default class Workspace {
 
         if (!originalValues) return;
 
-        const hasChanges = JSON.stringify(currentValues) !== JSON.stringify(originalValues);
+        const hasChanges = Object.keys({ ...originalValues, ...currentValues })
+            .some(handle => this.valuesDiffer(handle, originalValues[handle], currentValues[handle]));
 
         if (hasChanges && currentStatus !== 'changesNotSaved') {
             Statamic.$store.commit(`collaboration/${this.channelName}/setSaveStatus`, 'changesNotSaved');
@@ -1034,13 +2352,7 @@ export default class Workspace {
      * @returns {Object} Cleaned meta with only relevant keys
      */
     cleanEntireMetaPayload(values) {
-        return _.mapObject(values, meta => {
-            const allowed = data_get(meta, '__collaboration');
-            if (!allowed) return meta;
-            let allowedValues = {};
-            allowed.forEach(key => allowedValues[key] = meta[key]);
-            return allowedValues;
-        });
+        return _.mapObject(values, (meta, handle) => this.adapterFor(handle).serializeMeta(meta));
     }
 
     /**
@@ -1050,10 +2362,92 @@ export default class Workspace {
      */
     restoreEntireMetaPayload(payload) {
         return _.mapObject(payload, (value, key) => {
-            return { ...this.lastMetaValues[key], ...value };
+            return this.adapterFor(key).restoreMeta(value, this.lastMetaValues[key]);
         });
     }
 
+    /**
+     * Get the tab a top-level field lives in, from the blueprint.
+     * @param {string} handle - The field handle
+     * @returns {string|null} The tab handle, or null without tabs or if the field isn't in the blueprint
+     */
+    tabOf(handle) {
+        const tabs = Statamic.$store.state.publish[this.container.name]?.blueprint?.tabs || [];
+
+        const tab = tabs.find(tab => (tab.sections || []).some(section => {
+            return (section.fields || []).some(field => field.handle === handle);
+        }));
+
+        return tab ? tab.handle : null;
+    }
+
+    /**
+     * Get the position of a tab in the blueprint.
+     * @param {string} tab - The tab handle
+     * @returns {number} The index, or -1 if there's no such tab
+     */
+    tabIndexOf(tab) {
+        const tabs = Statamic.$store.state.publish[this.container.name]?.blueprint?.tabs || [];
+        return tabs.findIndex(other => other.handle === tab);
+    }
+
+    /**
+     * Get the fieldtype of a top-level field from the blueprint.
+     * @param {string} handle - The field handle
+     * @returns {string|null} The fieldtype handle, or null if the field isn't in the blueprint
+     */
+    fieldtypeOf(handle) {
+        return this.blueprintField(handle)?.type || null;
+    }
+
+    /**
+     * Get the config of a top-level field from the blueprint.
+     * @param {string} handle - The field handle
+     * @returns {Object|null} The field config, or null if the field isn't in the blueprint
+     */
+    blueprintField(handle) {
+        const blueprint = Statamic.$store.state.publish[this.container.name]?.blueprint;
+        if (!blueprint) return null;
+
+        const sections = (blueprint.tabs || [blueprint]).flatMap(tab => tab.sections || []);
+
+        return sections.flatMap(section => section.fields || []).find(field => field.handle === handle) || null;
+    }
+
+    /**
+     * Check if a field takes part in collaboration. Fields with `collaboration: false` in
+     * their blueprint config (e.g. internal notes) stay local to the window until saved.
+     * @param {string} handle - The field handle
+     * @returns {boolean}
+     */
+    isCollaborative(handle) {
+        return this.blueprintField(handle)?.collaboration !== false;
+    }
+
+    /**
+     * Leave out the fields that don't take part in collaboration.
+     * @param {Object} fields - Values or meta keyed by handle
+     * @returns {Object}
+     */
+    onlyCollaborative(fields) {
+        return Object.fromEntries(Object.entries(fields || {}).filter(([handle]) => this.isCollaborative(handle)));
+    }
+
+    /**
+     * Format a field path for display in toasts, e.g. "content.#lx8f2k1a.text" becomes "Content › Set 13 › Text"
+     * (when that's the 13th set).
+     * @param {string} path - The field path
+     * @returns {string} Human-readable field location
+     */
+    formatFieldPath(path) {
+        return indexPath(path, this.values).split('.')
+            .map(segment => {
+                if (/^\d+$/.test(segment)) return `Set ${parseInt(segment, 10) + 1}`;
+                return segment.startsWith('#') ? 'Set' : this.formatFieldName(segment);
+            })
+            .join(' › ');
+    }
+
     /**
      * Format a field handle for display in toasts.
      * Converts "my_field_name" or "myFieldName" to "My field name".
@@ -1080,7 +2474,7 @@ export default class Workspace {
 
     /**
      * Fetch with timeout wrapper.
-     * Aborts the request if it takes longer than apiTimeout (4 seconds).
+     * Aborts the request if it takes longer than apiTimeout.
      * @param {string} url - The URL to fetch
      * @param {Object} options - Fetch options
      * @returns {Promise<Response>} The fetch response
@@ -1124,40 +2518,17 @@ export default class Workspace {
     }
 
     /**
-     * Send a whisper (broadcast) to other windows via WebSocket.
+     * Send a whisper (broadcast) to other windows through the transport.
      * Automatically chunks large messages and skips if alone.
      * @param {string} event - The event name
      * @param {Object} payload - The data to send
-     * @param {Object} options - Options (force: send even if alone)
+     * @param {Object} options - Options (force: send even if alone, to: the window id the message is meant for)
      */
-    whisper(event, payload, { force = false } = {}) {
+    whisper(event, payload, { force = false, to = null } = {}) {
         // Skip if alone (optimization), unless forced
         if (!force && this.isAlone()) return;
 
-        const chunkSize = 2500;
-        const str = JSON.stringify(payload);
-        const msgId = Math.random() + '';
-
-        // Small messages go directly
-        if (str.length < chunkSize) {
-            this.debug(`Broadcasting "${event}"`, payload);
-            this.channel.whisper(event, payload);
-            return;
-        }
-
-        // Large messages are chunked
-        event = `chunked-${event}`;
-
-        for (let i = 0; i * chunkSize < str.length; i++) {
-            const chunk = {
-                id: msgId,
-                index: i,
-                chunk: str.slice(i * chunkSize, (i + 1) * chunkSize),
-                final: chunkSize * (i + 1) >= str.length
-            };
-            this.debug(`Broadcasting "${event}" chunk ${i}`, chunk);
-            this.channel.whisper(event, chunk);
-        }
+        this.chunkedWhispers.send(event, payload, { to });
     }
 
     /**
@@ -1166,26 +2537,16 @@ export default class Workspace {
      * @param {Function} callback - Handler for complete messages
      */
     listenForWhisper(event, callback) {
-        // Listen for direct messages
-        this.channel.listenForWhisper(event, callback);
-
-        // Listen for chunked messages and reassemble
-        let events = {};
-        this.channel.listenForWhisper(`chunked-${event}`, data => {
-            if (!events.hasOwnProperty(data.id)) {
-                events[data.id] = { chunks: [], receivedFinal: false };
-            }
-
-            let e = events[data.id];
-            e.chunks[data.index] = data.chunk;
-            if (data.final) e.receivedFinal = true;
+        this.chunkedWhispers.listenFor(event, callback);
+    }
 
-            // Check if all chunks received
-            if (e.receivedFinal && e.chunks.length === Object.keys(e.chunks).length) {
-                callback(JSON.parse(e.chunks.join('')));
-                delete events[data.id];
-            }
-        });
+    /**
+     * Tell other addons about something that happened in the workspace (see CollaborationApi).
+     * @param {string} event - The event name
+     * @param {Object} payload - The event details
+     */
+    emit(event, payload = {}) {
+        this.api?.emit(event, { workspace: this, ...payload });
     }
 
     /**
@@ -1208,20 +2569,29 @@ export default class Workspace {
      */
     initializeValuesAndMeta() {
         this.lastValues = clone(Statamic.$store.state.publish[this.container.name].values);
-        this.lastMetaValues = clone(Statamic.$store.state.publish[this.container.name].meta);
+        this.lastMetaValues = clone(this.onlyCollaborative(Statamic.$store.state.publish[this.container.name].meta));
 
-        Statamic.$store.commit(
-            `collaboration/${this.channelName}/setOriginalValues`,
-            clone(this.lastValues)
-        );
+        this.rememberSavedState();
+    }
+
+    /**
+     * Remember the current values and meta as the saved state of the entry,
+     * to compare changes against and revert fields to.
+     */
+    rememberSavedState() {
+        const { values, meta } = Statamic.$store.state.publish[this.container.name];
+
+        Statamic.$store.commit(`collaboration/${this.channelName}/setOriginalValues`, clone(values));
+        Statamic.$store.commit(`collaboration/${this.channelName}/setOriginalMeta`, clone(meta));
     }
 
     /**
      * Load cached state from the server.
      * Applies values and meta to the Vuex store.
      * @param {string} source - Identifier for debugging (where this was called from)
+     * @param {Object|null} data - A state API response already fetched (e.g. shared by the leader window)
      */
-    async loadCachedState(source = 'unknown') {
+    async loadCachedState(source = 'unknown', data = null) {
         // Prevent concurrent calls
         if (this.loadingCachedState) {
             this.debug(`loadCachedState already in progress, skipping call from: ${source}`);
@@ -1240,66 +2610,136 @@ export default class Workspace {
         this.loadingCachedState = true;
         this.debug(`loadCachedState called from: ${source}`);
 
-        // Prevent re-broadcasting while applying external data
-        this.applyingBroadcast = true;
+        let conflicts = [];
 
         try {
-            const response = await this.fetchWithTimeout(this.stateApiUrl, {
-                headers: {
-                    'Accept': 'application/json',
-                    'X-Requested-With': 'XMLHttpRequest',
-                },
-                credentials: 'same-origin',
-            });
+            // Only the leader fetches, for all local windows
+            data = data || await this.leader.fetchState();
+            if (!data) return;
 
-            if (!response.ok) return;
+            // Prevent re-broadcasting while applying external data
+            this.applyingBroadcast = true;
+            try {
+                conflicts = this.applyCachedState(data);
+            } finally {
+                this.applyingBroadcast = false;
+            }
+        } catch (error) {
+            this.debug('Failed to load cached state', { error });
+        } finally {
+            this.loadingCachedState = false;
+        }
 
-            const data = await response.json();
+        this.notifyConflicts(conflicts);
+    }
 
-            if (!data.exists) {
-                this.debug('No cached state found');
-                return;
-            }
+    /**
+     * Fetch the cached state from the server.
+     * @returns {Promise<Object|null>} The state API response, or null if the request failed
+     */
+    async fetchCachedState() {
+        const response = await this.fetchWithTimeout(this.stateApiUrl, {
+            headers: {
+                'Accept': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+            },
+            credentials: 'same-origin',
+        });
 
-            this.debug('Applying cached state from server', {
-                valuesKeys: data.values ? Object.keys(data.values) : [],
-                metaKeys: data.meta ? Object.keys(data.meta) : []
-            });
+        if (!response.ok) return null;
 
-            // Apply cached values
-            if (data.values && Object.keys(data.values).length > 0) {
-                const currentValues = Statamic.$store.state.publish[this.container.name].values;
-                const mergedValues = { ...currentValues, ...data.values };
+        return response.json();
+    }
 
-                Statamic.$store.commit(`publish/${this.container.name}/setValues`, mergedValues);
+    /**
+     * Apply a cached state response to the Vuex store and adopt its revision.
+     * Fields with unpersisted local changes are left alone; when the server copy of such
+     * a field changed after our base revision, it is reported as a conflict.
+     * @param {Object} data - The state API response
+     * @param {{values: string[], meta: string[]}} inFlight - Handles being persisted, treated as unpersisted
+     * @returns {string[]} Handles changed both locally and on the server
+     */
+    applyCachedState(data, inFlight = { values: [], meta: [] }) {
+        const conflicts = [];
+        const isLocal = (type, handle) => inFlight[type].includes(handle)
+            || (type === 'values' ? this.dirtyValueHandles : this.dirtyMetaHandles).has(handle);
+        const fieldRevisions = data.fields || {};
+        const changedOnServer = (type, handle) => (fieldRevisions[type]?.[handle] || 0) > this.revision;
+
+        this.activity.merge(data.activity);
+
+        if (!data.exists) {
+            this.debug('No cached state found');
+            this.revision = data.revision || 0;
+            return conflicts;
+        }
 
-                // Update cache to prevent re-sending
-                Object.keys(data.values).forEach(handle => {
-                    this.lastValues[handle] = clone(data.values[handle]);
-                });
+        this.debug('Applying cached state from server', {
+            revision: data.revision,
+            valuesKeys: data.values ? Object.keys(data.values) : [],
+            metaKeys: data.meta ? Object.keys(data.meta) : []
+        });
+
+        // Apply cached values, keeping fields we haven't persisted yet
+        // Co-edited fields are skipped, their live document is more recent than the cache
+        const values = {};
+        Object.keys(this.onlyCollaborative(data.values || {})).forEach(handle => {
+            if (this.coEditing.hasDocument(handle)) return;
+
+            // A field we're editing a single set of is merged per set instead
+            const editingSet = this.currentFocusedField === handle && isNestedPath(setPathOf(this.currentFocusedPath || handle));
+
+            if (!isLocal('values', handle) || editingSet) {
+                values[handle] = this.mergeRemoteValue(handle, data.values[handle]);
+            } else if (changedOnServer('values', handle)) {
+                conflicts.push(handle);
             }
+        });
 
-            // Apply cached meta (full replacement for assets to display correctly)
-            if (data.meta && Object.keys(data.meta).length > 0) {
-                const currentMeta = Statamic.$store.state.publish[this.container.name].meta;
-                const mergedMeta = { ...currentMeta };
-                Object.keys(data.meta).forEach(handle => {
-                    mergedMeta[handle] = data.meta[handle];
-                });
+        if (Object.keys(values).length > 0) {
+            const currentValues = Statamic.$store.state.publish[this.container.name].values;
+            const mergedValues = { ...currentValues, ...values };
 
-                Statamic.$store.commit(`publish/${this.container.name}/setMeta`, mergedMeta);
+            Statamic.$store.commit(`publish/${this.container.name}/setValues`, mergedValues);
 
-                // Update cache to prevent re-sending
-                Object.keys(data.meta).forEach(handle => {
-                    this.lastMetaValues[handle] = clone(data.meta[handle]);
-                });
+            // Update cache to prevent re-sending
+            Object.keys(values).forEach(handle => {
+                this.lastValues[handle] = clone(values[handle]);
+            });
+
+            // Sets may have been re-rendered
+            Vue.nextTick(() => this.refreshPathLocks());
+        }
+
+        // Apply cached meta (full replacement for assets to display correctly)
+        const meta = {};
+        Object.keys(this.onlyCollaborative(data.meta || {})).forEach(handle => {
+            if (!isLocal('meta', handle)) {
+                meta[handle] = data.meta[handle];
             }
-        } catch (error) {
-            this.debug('Failed to load cached state', { error });
-        } finally {
-            this.applyingBroadcast = false;
-            this.loadingCachedState = false;
+        });
+
+        if (Object.keys(meta).length > 0) {
+            const currentMeta = Statamic.$store.state.publish[this.container.name].meta;
+            const mergedMeta = { ...currentMeta };
+            Object.keys(meta).forEach(handle => {
+                mergedMeta[handle] = meta[handle];
+            });
+
+            Statamic.$store.commit(`publish/${this.container.name}/setMeta`, mergedMeta);
+
+            // Update cache to prevent re-sending
+            Object.keys(meta).forEach(handle => {
+                this.lastMetaValues[handle] = clone(meta[handle]);
+            });
         }
+
+        this.revision = data.revision || 0;
+
+        const applied = [...new Set([...Object.keys(values), ...Object.keys(meta)])];
+        if (applied.length) this.emit('remote-change-applied', { handles: applied, source: 'server' });
+
+        return conflicts;
     }
 
     /**
@@ -1313,6 +2753,32 @@ export default class Workspace {
             metaKeys: Object.keys(meta || {}),
         });
 
+        await this.postState({ values, meta, full: true });
+    }
+
+    /**
+     * Send a field patch to the server, merged into the cached state per handle.
+     * @param {Object} values - Changed field values keyed by handle
+     * @param {Object} meta - Changed field meta keyed by handle
+     * @param {Object} windows - The window each field was changed in, keyed by handle (ours when missing)
+     */
+    async sendStatePatch(values, meta, windows = {}) {
+        this.debug('Sending state patch to server', {
+            valuesKeys: Object.keys(values),
+            metaKeys: Object.keys(meta),
+        });
+
+        await this.postState({ values, meta, windows, patch: true });
+    }
+
+    /**
+     * POST a state update body to the state API, based on our current revision.
+     * Adopts the new revision returned by the server on success.
+     * @param {Object} body - The request body
+     * @throws {Error} When the server responds with a non-2xx status (409 when our revision is stale,
+     *                 423 when the state was locked by another request for too long)
+     */
+    async postState(body) {
         const response = await this.fetchWithTimeout(this.stateApiUrl, {
             method: 'POST',
             headers: {
@@ -1322,34 +2788,48 @@ export default class Workspace {
                 'X-CSRF-TOKEN': this.csrfToken,
             },
             credentials: 'same-origin',
-            body: JSON.stringify({ values, meta, full: true }),
+            body: JSON.stringify({ ...body, base_revision: this.revision, window_id: this.windowId }),
         });
 
         if (!response.ok) {
             this.debug('Failed to send state update', { status: response.status });
-            throw new Error(`HTTP ${response.status}`);
+            const error = new Error(`HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
 
-        this.debug('State update sent successfully');
+        const data = await response.json();
+        this.revision = data.revision;
+
+        this.debug(`State update sent successfully (revision ${this.revision})`);
     }
 
     /**
      * Clear cached state from the server.
-     * Called after successful save.
+     * Called after successful save, or with the fields of a draft that were discarded.
+     * @param {string[]|null} handles - Only clear these fields (all of them when null)
+     * @param {string|null} activityId - The id of the save in the activity timeline, when saved
      */
-    async clearCachedState() {
+    async clearCachedState(handles = null, activityId = null) {
         try {
-            await this.fetchWithTimeout(this.stateApiUrl, {
+            const response = await this.fetchWithTimeout(this.stateApiUrl, {
                 method: 'DELETE',
                 headers: {
                     'Accept': 'application/json',
+                    'Content-Type': 'application/json',
                     'X-Requested-With': 'XMLHttpRequest',
                     'X-CSRF-TOKEN': this.csrfToken,
                 },
                 credentials: 'same-origin',
+                body: JSON.stringify({ fields: handles, activity_id: activityId, window_id: this.windowId }),
             });
 
-            this.debug('Cleared cached state from server');
+            // Clearing bumps the revision, adopt it so our next update isn't rejected
+            if (response.ok) {
+                this.revision = (await response.json()).revision;
+            }
+
+            this.debug('Cleared cached state from server', { handles });
         } catch (error) {
             this.debug('Failed to clear cached state', { error });
         }
@@ -1383,7 +2863,7 @@ export default class Workspace {
     }
 
     /**
-     * Show inactivity warning after 12 hours.
+     * Show inactivity warning after the inactivity timeout.
      * Prompts user to close the entry to avoid conflicts.
      */
     showInactivityWarning() {
@@ -1394,13 +2874,28 @@ export default class Workspace {
         Statamic.$components.append('CollaborationBlockingNotification', {
             props: {
                 title: 'Inactivity Warning',
-                message: 'There has been no activity for 12 hours. Please close this content to avoid conflicts.',
+                message: `There has been no activity for ${this.describeDuration(this.inactivityTimeout)}. Please close this content to avoid conflicts.`,
                 confirmText: 'Close'
             }
         }).on('confirm', () => {
             window.location.href = Statamic.$config.get('cpUrl') || '/cp';
         });
 
-        this.debug('Inactivity warning shown after 12 hours');
+        this.debug(`Inactivity warning shown after ${this.describeDuration(this.inactivityTimeout)}`);
+    }
+
+    /**
+     * Describe a duration in hours, or in minutes when shorter than an hour.
+     * @param {number} ms
+     * @returns {string} e.g. "12 hours"
+     */
+    describeDuration(ms) {
+        if (ms >= 3600000) {
+            const hours = Math.round(ms / 3600000);
+            return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+        }
+
+        const minutes = Math.max(1, Math.round(ms / 60000));
+        return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
     }
 }
@@ -1,33 +1,100 @@
 import Manager from './Manager';
+import EchoTransport from './EchoTransport';
+import FallbackTransport from './FallbackTransport';
+import SharedWorkerTransport from './SharedWorkerTransport';
+import BroadcastChannelTransport from './BroadcastChannelTransport';
+import MemoryTransport from './MemoryTransport';
 import StatusBar from './StatusBar.vue';
 import BlockingNotification from './BlockingNotification.vue';
+import FieldPresence from './FieldPresence.vue';
+import EditRequestPrompt from './EditRequestPrompt.vue';
+import DraftRecoveryDialog from './DraftRecoveryDialog.vue';
+import ChangesPanel from './ChangesPanel.vue';
+import ActivityFeed from './ActivityFeed.vue';
+import CommentBadge from './CommentBadge.vue';
+import CommentsPanel from './CommentsPanel.vue';
 const manager = new Manager;
 
+// Transports that don't need a broadcasting server, keyed by their config value
+const localTransports = {
+    'broadcast-channel': BroadcastChannelTransport,
+    'memory': MemoryTransport,
+};
+
+// The public API for other addons, see CollaborationApi
+Statamic.$collaboration = manager.api;
+
 Statamic.booting(() => {
     Statamic.component('CollaborationStatusBar', StatusBar);
     Statamic.component('CollaborationBlockingNotification', BlockingNotification);
+    Statamic.component('CollaborationFieldPresence', FieldPresence);
+    Statamic.component('CollaborationEditRequestPrompt', EditRequestPrompt);
+    Statamic.component('CollaborationDraftRecoveryDialog', DraftRecoveryDialog);
+    Statamic.component('CollaborationChangesPanel', ChangesPanel);
+    Statamic.component('CollaborationActivityFeed', ActivityFeed);
+    Statamic.component('CollaborationCommentBadge', CommentBadge);
+    Statamic.component('CollaborationCommentsPanel', CommentsPanel);
 
     Statamic.$store.registerModule('collaboration', {
         namespaced: true
     });
+
+    // Without a broadcasting server, the windows of one browser can still collaborate
+    const LocalTransport = localTransports[Statamic.$config.get('collaboration.transport')];
+    if (LocalTransport) {
+        manager.transport = new LocalTransport;
+        manager.boot();
+    }
 });
 
 Statamic.$echo.booted(Echo => {
-    manager.echo = Echo;
+    if (manager.transport) return;
+
+    // Optionally share one connection between all tabs of the browser
+    const transport = SharedWorkerTransport.supports(Echo) ? new SharedWorkerTransport(Echo) : new EchoTransport(Echo);
+    manager.transport = new FallbackTransport(transport);
     manager.boot();
 });
 
+// Page lifecycle listeners of each publish container, keyed by container name
+const pageListeners = {};
+
 Statamic.$events.$on('publish-container-created', container => {
     if (!container.reference) return;
     manager.addWorkspace(container);
 
     // Use pagehide instead of deprecated unload event
-    // pagehide fires reliably when navigating away and is the modern replacement
-    const cleanup = () => manager.destroyWorkspace(container);
-    window.addEventListener('pagehide', cleanup, { once: true });
+    // pagehide fires reliably when navigating away and is the modern replacement.
+    // Pages kept in the back/forward cache may be shown again, so their workspace is
+    // only suspended, and resumed on pageshow.
+    const pagehide = event => {
+        if (event.persisted) {
+            manager.workspaces[container.name]?.suspend();
+        } else {
+            manager.destroyWorkspace(container);
+        }
+    };
+    const pageshow = event => {
+        if (event.persisted) manager.workspaces[container.name]?.resume();
+    };
+
+    removePageListeners(container);
+    pageListeners[container.name] = { pagehide, pageshow };
+    window.addEventListener('pagehide', pagehide);
+    window.addEventListener('pageshow', pageshow);
 });
 
 Statamic.$events.$on('publish-container-destroyed', container => {
+    removePageListeners(container);
     if (!manager.workspaces[container.name]) return;
     manager.destroyWorkspace(container);
 });
+
+function removePageListeners(container) {
+    const listeners = pageListeners[container.name];
+    if (!listeners) return;
+
+    window.removeEventListener('pagehide', listeners.pagehide);
+    window.removeEventListener('pageshow', listeners.pageshow);
+    delete pageListeners[container.name];
+}
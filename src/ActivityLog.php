@@ -0,0 +1,143 @@
+<?php
+
+namespace Statamic\Collaboration;
+
+use Illuminate\Support\Arr;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Str;
+
+class ActivityLog
+{
+    use LocksCache;
+
+    /**
+     * Cache TTL in seconds (same as the cached state)
+     */
+    protected int $ttl = 44000;
+
+    /**
+     * Number of events kept per entry
+     */
+    protected int $limit = 100;
+
+    /**
+     * Changes to the same field by the same window within this many seconds are one event
+     */
+    protected int $mergeSeconds = 60;
+
+    public function __construct(protected string $reference, protected string $site)
+    {
+    }
+
+    /**
+     * Get the recorded events, oldest first.
+     */
+    public function all(): array
+    {
+        return Cache::get($this->cacheKey(), []);
+    }
+
+    /**
+     * Record an event of the entry's session.
+     *
+     * Events are kept apart from the cached state, so they survive saving the entry.
+     * An event with an id that was recorded already replaces it.
+     */
+    public function record(string $type, array $attributes = []): array
+    {
+        return $this->recordMany($type, [$attributes])[0];
+    }
+
+    /**
+     * Record several events of the same type at once, e.g. the fields changed by one
+     * state update, taking the lock and reading and writing the log only once.
+     */
+    public function recordMany(string $type, array $attributesList): array
+    {
+        $key = $this->cacheKey();
+
+        return $this->withLock($key, function () use ($key, $type, $attributesList) {
+            $events = Cache::get($key, []);
+            $recorded = [];
+
+            foreach ($attributesList as $attributes) {
+                $event = array_merge([
+                    'id' => (string) Str::uuid(),
+                    'type' => $type,
+                    'at' => now()->timestamp,
+                ], array_filter($attributes, fn ($value) => $value !== null));
+
+                // An id given by the client may only update its own event of this type
+                if (! $this->mayUseId($events, $event)) {
+                    $event['id'] = (string) Str::uuid();
+                }
+
+                $index = $this->indexOf($events, $event);
+
+                if ($index === null) {
+                    $events[] = $event;
+                } else {
+                    $events[$index] = array_merge($events[$index], Arr::except($event, 'id'));
+                }
+
+                $recorded[] = $events[$index ?? count($events) - 1];
+            }
+
+            Cache::put($key, array_slice($events, -$this->limit), $this->ttl);
+
+            return $recorded;
+        });
+    }
+
+    /**
+     * Check that an event with the same id, if any, is of the same type and user.
+     */
+    protected function mayUseId(array $events, array $event): bool
+    {
+        foreach ($events as $other) {
+            if ($other['id'] === $event['id']) {
+                return $other['type'] === $event['type']
+                    && ($other['user']['id'] ?? null) === ($event['user']['id'] ?? null);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Find the event a new one replaces: the one with its id, or, for field changes,
+     * the latest change of the same field by the same window if it's recent enough.
+     */
+    protected function indexOf(array $events, array $event): ?int
+    {
+        for ($index = count($events) - 1; $index >= 0; $index--) {
+            $other = $events[$index];
+
+            if ($other['id'] === $event['id']) {
+                return $index;
+            }
+
+            if ($event['type'] === 'changed'
+                && $other['type'] === 'changed'
+                && ($other['handle'] ?? null) === ($event['handle'] ?? null)
+                && ($other['window'] ?? null) === ($event['window'] ?? null)
+                && ($other['user']['id'] ?? null) === ($event['user']['id'] ?? null)
+                && $event['at'] - $other['at'] <= $this->mergeSeconds) {
+                return $index;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Generate a cache key for the entry's activity.
+     */
+    protected function cacheKey(): string
+    {
+        // Normalize the reference (replace . back to :: for consistency)
+        $normalizedRef = str_replace('.', '::', $this->reference);
+
+        return "collaboration.activity.{$normalizedRef}.{$this->site}";
+    }
+}
@@ -0,0 +1,28 @@
+<?php
+
+namespace Statamic\Collaboration;
+
+use Illuminate\Support\Facades\Auth;
+use Statamic\Facades\User;
+
+trait AuthorizesCollaborators
+{
+    /**
+     * Check if the current user has access.
+     */
+    protected function userCanEditEntry(string $reference): bool
+    {
+        return (bool) $this->currentUser();
+    }
+
+    /**
+     * Get the current user from the CP guard.
+     */
+    protected function currentUser()
+    {
+        $guard = config('statamic.users.guards.cp', 'web');
+        $authUser = Auth::guard($guard)->user();
+
+        return $authUser ? User::fromUser($authUser) : null;
+    }
+}
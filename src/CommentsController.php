@@ -0,0 +1,131 @@
+<?php
+
+namespace Statamic\Collaboration;
+
+use Illuminate\Http\Request;
+use Illuminate\Routing\Controller;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Str;
+
+/**
+ * Comment threads attached to the fields (or sets) of an entry.
+ *
+ * Threads are kept until they're resolved, apart from the cached state so they
+ * survive saving the entry. Windows tell each other about changes over the channel.
+ */
+class CommentsController extends Controller
+{
+    use AuthorizesCollaborators, LocksCache;
+
+    /**
+     * Cache TTL in seconds (30 days, renewed on every change)
+     */
+    protected int $ttl = 2592000;
+
+    /**
+     * Get the open threads of an entry.
+     */
+    public function index(Request $request, string $reference, string $site)
+    {
+        if (!$this->userCanEditEntry($reference)) {
+            abort(403);
+        }
+
+        return response()->json([
+            'threads' => array_values(Cache::get($this->cacheKey($reference, $site), [])),
+        ]);
+    }
+
+    /**
+     * Start a thread on a field path, or reply to a thread.
+     */
+    public function store(Request $request, string $reference, string $site)
+    {
+        if (!$this->userCanEditEntry($reference)) {
+            abort(403);
+        }
+
+        $user = $this->currentUser();
+
+        $validated = $request->validate([
+            'thread' => 'nullable|string',
+            'path' => 'required_without:thread|nullable|string|max:200',
+            'body' => 'required|string|max:5000',
+        ]);
+
+        $key = $this->cacheKey($reference, $site);
+
+        $comment = [
+            'id' => (string) Str::uuid(),
+            'user' => ['id' => $user->id(), 'name' => $user->name(), 'initials' => $user->initials()],
+            'body' => $validated['body'],
+            'at' => now()->timestamp,
+        ];
+
+        $thread = $this->withLock($key, function () use ($key, $validated, $comment) {
+            $threads = Cache::get($key, []);
+
+            if ($id = $validated['thread'] ?? null) {
+                if (!isset($threads[$id])) {
+                    return null;
+                }
+
+                $threads[$id]['comments'][] = $comment;
+            } else {
+                $id = (string) Str::uuid();
+                $threads[$id] = [
+                    'id' => $id,
+                    'path' => $validated['path'],
+                    'comments' => [$comment],
+                    'at' => $comment['at'],
+                ];
+            }
+
+            Cache::put($key, $threads, $this->ttl);
+
+            return $threads[$id];
+        });
+
+        if (!$thread) {
+            abort(404);
+        }
+
+        return response()->json(['success' => true, 'thread' => $thread]);
+    }
+
+    /**
+     * Resolve a thread, removing it.
+     */
+    public function destroy(Request $request, string $reference, string $site)
+    {
+        if (!$this->userCanEditEntry($reference)) {
+            abort(403);
+        }
+
+        $user = $this->currentUser();
+
+        $thread = $request->validate(['thread' => 'required|string'])['thread'];
+        $key = $this->cacheKey($reference, $site);
+
+        $this->withLock($key, function () use ($key, $thread) {
+            $threads = Cache::get($key, []);
+            unset($threads[$thread]);
+            Cache::put($key, $threads, $this->ttl);
+        });
+
+        \Log::debug('Collaboration: Comment thread resolved', [
+            'key' => $key,
+            'thread' => $thread,
+            'user' => $user->id(),
+        ]);
+
+        return response()->json(['success' => true]);
+    }
+
+    protected function cacheKey(string $reference, string $site): string
+    {
+        $normalizedRef = str_replace('.', '::', $reference);
+
+        return "collaboration.comments.{$normalizedRef}.{$site}";
+    }
+}
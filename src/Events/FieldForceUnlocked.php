@@ -0,0 +1,32 @@
+<?php
+
+namespace Statamic\Collaboration\Events;
+
+use Illuminate\Broadcasting\PresenceChannel;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcastNow;
+
+class FieldForceUnlocked implements ShouldBroadcastNow
+{
+    /**
+     * @param  string  $channel  The entry's presence channel name (e.g. "entry.{id}.{site}")
+     * @param  array  $unlock  The audited unlock record
+     */
+    public function __construct(public string $channel, public array $unlock)
+    {
+    }
+
+    public function broadcastOn(): PresenceChannel
+    {
+        return new PresenceChannel($this->channel);
+    }
+
+    public function broadcastAs(): string
+    {
+        return 'collaboration.force-unlocked';
+    }
+
+    public function broadcastWith(): array
+    {
+        return $this->unlock;
+    }
+}
@@ -0,0 +1,32 @@
+<?php
+
+namespace Statamic\Collaboration\Events;
+
+use Illuminate\Broadcasting\PresenceChannel;
+use Illuminate\Contracts\Broadcasting\ShouldBroadcastNow;
+
+class WhisperRelayed implements ShouldBroadcastNow
+{
+    /**
+     * @param  string  $channel  The entry's presence channel name (e.g. "entry.{id}.{site}")
+     * @param  array  $whisper  The relayed whisper (event, data, from and user)
+     */
+    public function __construct(public string $channel, public array $whisper)
+    {
+    }
+
+    public function broadcastOn(): PresenceChannel
+    {
+        return new PresenceChannel($this->channel);
+    }
+
+    public function broadcastAs(): string
+    {
+        return 'collaboration.relayed';
+    }
+
+    public function broadcastWith(): array
+    {
+        return $this->whisper;
+    }
+}
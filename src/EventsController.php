@@ -0,0 +1,152 @@
+<?php
+
+namespace Statamic\Collaboration;
+
+use Illuminate\Http\Request;
+use Illuminate\Routing\Controller;
+use Illuminate\Support\Facades\Cache;
+use Statamic\Collaboration\Events\WhisperRelayed;
+
+/**
+ * Presence and whispers over HTTP, for windows that can't open a WebSocket.
+ *
+ * Polling windows post their whispers here, which are relayed to the entry's channel
+ * for everyone on the WebSocket. WebSocket windows mirror their whispers here while
+ * polling windows are around, so the polling windows receive them on their next poll.
+ */
+class EventsController extends Controller
+{
+    use AuthorizesCollaborators, LocksCache;
+
+    /**
+     * Members that haven't been seen for this many seconds are considered gone.
+     */
+    protected int $memberTimeout = 30;
+
+    /**
+     * Cache TTL in seconds.
+     */
+    protected int $ttl = 300;
+
+    /**
+     * Poll for presence and the events posted since the last poll.
+     *
+     * The first poll (without "after") only returns the id of the latest event,
+     * so joining windows don't replay old events.
+     */
+    public function index(Request $request, string $reference, string $site)
+    {
+        if (!$this->userCanEditEntry($reference)) {
+            abort(403);
+        }
+
+        $user = $this->currentUser();
+
+        $request->validate([
+            'member' => 'required|string|max:64',
+            'after' => 'nullable|integer',
+        ]);
+
+        $key = $this->cacheKey($reference, $site);
+        $member = $request->input('member');
+
+        $members = $this->heartbeat($key, $member, $user);
+
+        $polled = new PolledEvents($reference, $site);
+        $lastId = $polled->lastId();
+
+        $events = $request->filled('after')
+            ? array_values(array_filter($polled->after((int) $request->input('after')), fn ($event) => $event['from'] !== $member))
+            : [];
+
+        return response()->json([
+            'members' => array_values(array_map(fn ($entry) => $entry['user'], $members)),
+            'events' => $events,
+            'last_id' => $lastId,
+        ]);
+    }
+
+    /**
+     * Post a whisper for polling windows, and relay it to the WebSocket channel when posted by one.
+     */
+    public function store(Request $request, string $reference, string $site)
+    {
+        if (!$this->userCanEditEntry($reference)) {
+            abort(403);
+        }
+
+        $user = $this->currentUser();
+
+        $validated = $request->validate([
+            'member' => 'required|string|max:64',
+            'event' => 'required|string|max:200',
+            'data' => 'nullable|array',
+            'relay' => 'boolean',
+        ]);
+
+        $key = $this->cacheKey($reference, $site);
+
+        $this->heartbeat($key, $validated['member'], $user);
+
+        $event = [
+            'event' => $validated['event'],
+            'data' => $request->json('data') ?? [],
+            'from' => $validated['member'],
+            'user' => ServiceProvider::userData($user),
+        ];
+
+        $id = (new PolledEvents($reference, $site))->push($event);
+
+        if ($request->boolean('relay')) {
+            broadcast(new WhisperRelayed("{$reference}.{$site}", $event));
+        }
+
+        return response()->json(['success' => true, 'id' => $id]);
+    }
+
+    /**
+     * Remove a member when its window leaves.
+     */
+    public function destroy(Request $request, string $reference, string $site)
+    {
+        if (!$this->userCanEditEntry($reference)) {
+            abort(403);
+        }
+
+        $key = $this->cacheKey($reference, $site);
+        $member = $request->input('member');
+
+        $this->withLock($key, function () use ($key, $member) {
+            $members = Cache::get("{$key}.members", []);
+            unset($members[$member]);
+            Cache::put("{$key}.members", $members, $this->ttl);
+        });
+
+        return response()->json(['success' => true]);
+    }
+
+    /**
+     * Record that a member is still around, and get the members seen recently.
+     */
+    protected function heartbeat(string $key, string $member, $user): array
+    {
+        return $this->withLock($key, function () use ($key, $member, $user) {
+            $now = time();
+
+            $members = array_filter(Cache::get("{$key}.members", []), function ($entry) use ($now) {
+                return $now - $entry['seen'] <= $this->memberTimeout;
+            });
+
+            $members[$member] = ['user' => ServiceProvider::userData($user), 'seen' => $now];
+
+            Cache::put("{$key}.members", $members, $this->ttl);
+
+            return $members;
+        });
+    }
+
+    protected function cacheKey(string $reference, string $site): string
+    {
+        return (new PolledEvents($reference, $site))->cacheKey();
+    }
+}
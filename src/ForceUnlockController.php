@@ -0,0 +1,67 @@
+<?php
+
+namespace Statamic\Collaboration;
+
+use Illuminate\Http\Request;
+use Illuminate\Routing\Controller;
+use Statamic\Collaboration\Events\FieldForceUnlocked;
+
+class ForceUnlockController extends Controller
+{
+    use AuthorizesCollaborators;
+
+    /**
+     * Force unlock the field another user is editing.
+     *
+     * Only users with the force unlock permission may do this. Every unlock is logged, recorded
+     * in the session activity and broadcast to the entry's channel, where the target user's
+     * windows release the field.
+     */
+    public function store(Request $request, string $reference, string $site)
+    {
+        $user = $this->currentUser();
+
+        if (!$this->userCanEditEntry($reference) || !ServiceProvider::canForceUnlock($user)) {
+            abort(403);
+        }
+
+        $validated = $request->validate([
+            'target_user.id' => 'required',
+            'target_user.name' => 'nullable|string',
+            'handle' => 'nullable|string',
+            'path' => 'nullable|string',
+        ]);
+
+        $unlock = [
+            'reference' => str_replace('.', '::', $reference),
+            'site' => $site,
+            'handle' => $validated['handle'] ?? null,
+            'path' => $validated['path'] ?? $validated['handle'] ?? null,
+            'target_user' => [
+                'id' => $validated['target_user']['id'],
+                'name' => $validated['target_user']['name'] ?? null,
+            ],
+            'origin_user' => [
+                'id' => $user->id(),
+                'name' => $user->name(),
+            ],
+            'unlocked_at' => now()->toIso8601String(),
+        ];
+
+        \Log::info('Collaboration: Field force unlocked', $unlock);
+
+        // Windows match the broadcast with the recorded event by its id
+        $unlock['activity_id'] = (new ActivityLog($reference, $site))->record('force-unlocked', [
+            'user' => $unlock['origin_user'],
+            'target_user' => $unlock['target_user'],
+            'handle' => $unlock['handle'],
+        ])['id'];
+
+        broadcast(new FieldForceUnlocked("{$reference}.{$site}", $unlock));
+
+        // Windows polling the events endpoint don't receive broadcasts
+        (new PolledEvents($reference, $site))->pushBroadcast('collaboration.force-unlocked', $unlock);
+
+        return response()->json(['success' => true, 'unlock' => $unlock]);
+    }
+}
@@ -0,0 +1,26 @@
+<?php
+
+namespace Statamic\Collaboration;
+
+use Illuminate\Contracts\Cache\LockTimeoutException;
+use Illuminate\Support\Facades\Cache;
+
+trait LocksCache
+{
+    /**
+     * Run a callback while holding the lock of a cache key.
+     *
+     * When the lock can't be acquired in time, the request is answered with a 423 that
+     * clients retry later, instead of the LockTimeoutException ending up as a 500.
+     */
+    protected function withLock(string $key, callable $callback)
+    {
+        try {
+            return Cache::lock("{$key}.lock", 10)->block(5, $callback);
+        } catch (LockTimeoutException $e) {
+            \Log::debug('Collaboration: Cache lock timed out', ['key' => $key]);
+
+            abort(response()->json(['success' => false, 'locked' => true], 423, ['Retry-After' => 1]));
+        }
+    }
+}
@@ -0,0 +1,85 @@
+<?php
+
+namespace Statamic\Collaboration;
+
+use Illuminate\Support\Facades\Cache;
+
+/**
+ * The recent events of an entry's channel, kept for windows that poll instead of
+ * listening on the WebSocket: whispers posted to the events endpoint, and events
+ * broadcast by the server.
+ */
+class PolledEvents
+{
+    use LocksCache;
+
+    /**
+     * Number of recent events kept for polling windows to catch up on.
+     */
+    protected int $limit = 200;
+
+    /**
+     * Cache TTL in seconds.
+     */
+    protected int $ttl = 300;
+
+    public function __construct(protected string $reference, protected string $site)
+    {
+    }
+
+    /**
+     * Get the events after the given id, oldest first.
+     */
+    public function after(int $id): array
+    {
+        return array_values(array_filter(Cache::get("{$this->cacheKey()}.events", []), function ($event) use ($id) {
+            return $event['id'] > $id;
+        }));
+    }
+
+    /**
+     * Get the id of the latest event.
+     */
+    public function lastId(): int
+    {
+        return (int) Cache::get("{$this->cacheKey()}.last_id", 0);
+    }
+
+    /**
+     * Add an event, and get its id.
+     */
+    public function push(array $event): int
+    {
+        $key = $this->cacheKey();
+
+        return $this->withLock($key, function () use ($key, $event) {
+            $id = (int) Cache::get("{$key}.last_id", 0) + 1;
+
+            $events = Cache::get("{$key}.events", []);
+            $events[] = ['id' => $id] + $event;
+
+            Cache::put("{$key}.events", array_slice($events, -$this->limit), $this->ttl);
+            Cache::put("{$key}.last_id", $id, $this->ttl);
+
+            return $id;
+        });
+    }
+
+    /**
+     * Add an event broadcast by the server, so polling windows can listen for it too.
+     */
+    public function pushBroadcast(string $event, array $data): int
+    {
+        return $this->push(['event' => $event, 'data' => $data, 'from' => null, 'broadcast' => true]);
+    }
+
+    /**
+     * Generate the cache key of the entry's events, shared with the member list (and its lock).
+     */
+    public function cacheKey(): string
+    {
+        $normalizedRef = str_replace('.', '::', $this->reference);
+
+        return "collaboration.events.{$normalizedRef}.{$this->site}";
+    }
+}
@@ -4,12 +4,18 @@ namespace Statamic\Collaboration;
 
 use Illuminate\Support\Facades\Broadcast;
 use Illuminate\Support\Facades\Route;
+use Statamic\Facades\Permission;
 use Statamic\Facades\User;
 use Statamic\Providers\AddonServiceProvider;
 use Statamic\Statamic;
 
 class ServiceProvider extends AddonServiceProvider
 {
+    /**
+     * Permission required to force unlock a field another user is editing.
+     */
+    const FORCE_UNLOCK_PERMISSION = 'force unlock collaboration fields';
+
     protected $vite = [
         'input' => ['resources/js/collaboration.js'],
         'publicDirectory' => 'resources/dist',
@@ -20,10 +26,29 @@ class ServiceProvider extends AddonServiceProvider
     {
         Statamic::provideToScript(['collaboration' => config('collaboration')]);
 
+        $this->registerPermissions();
         $this->registerRoutes();
         $this->registerBroadcastChannel();
     }
 
+    protected function registerPermissions()
+    {
+        Permission::extend(function () {
+            Permission::group('collaboration', 'Collaboration', function () {
+                Permission::register(self::FORCE_UNLOCK_PERMISSION)
+                    ->label('Force unlock fields other users are editing');
+            });
+        });
+    }
+
+    /**
+     * Check if a user may force unlock fields.
+     */
+    public static function canForceUnlock($user): bool
+    {
+        return $user->isSuper() || $user->hasPermission(self::FORCE_UNLOCK_PERMISSION);
+    }
+
     protected function registerRoutes()
     {
         Route::middleware(['web', 'statamic.cp.authenticated'])
@@ -40,22 +65,57 @@ class ServiceProvider extends AddonServiceProvider
                 Route::delete('collaboration/state/{reference}/{site}', [StateController::class, 'destroy'])
                     ->name('collaboration.state.destroy')
                     ->where('reference', '.*');
+
+                Route::post('collaboration/force-unlock/{reference}/{site}', [ForceUnlockController::class, 'store'])
+                    ->name('collaboration.force-unlock')
+                    ->where('reference', '.*');
+
+                Route::get('collaboration/events/{reference}/{site}', [EventsController::class, 'index'])
+                    ->name('collaboration.events.index')
+                    ->where('reference', '.*');
+
+                Route::post('collaboration/events/{reference}/{site}', [EventsController::class, 'store'])
+                    ->name('collaboration.events.store')
+                    ->where('reference', '.*');
+
+                Route::delete('collaboration/events/{reference}/{site}', [EventsController::class, 'destroy'])
+                    ->name('collaboration.events.destroy')
+                    ->where('reference', '.*');
+
+                Route::get('collaboration/comments/{reference}/{site}', [CommentsController::class, 'index'])
+                    ->name('collaboration.comments.index')
+                    ->where('reference', '.*');
+
+                Route::post('collaboration/comments/{reference}/{site}', [CommentsController::class, 'store'])
+                    ->name('collaboration.comments.store')
+                    ->where('reference', '.*');
+
+                Route::delete('collaboration/comments/{reference}/{site}', [CommentsController::class, 'destroy'])
+                    ->name('collaboration.comments.destroy')
+                    ->where('reference', '.*');
             });
     }
 
     protected function registerBroadcastChannel()
     {
         Broadcast::channel('entry.{id}.{site}', function ($user, $id, $site) {
-            $user = User::fromUser($user);
-
-            return [
-                'name' => $user->name(),
-                'id' => $user->id(),
-                'title' => $user->title(),
-                'email' => $user->email(),
-                'avatar' => $user->avatar(),
-                'initials' => $user->initials(),
-            ];
+            return static::userData(User::fromUser($user));
         }, ['guards' => [config('statamic.users.guards.cp')]]);
     }
+
+    /**
+     * Get the presence data of a user, as shared with the other members of a channel.
+     */
+    public static function userData($user): array
+    {
+        return [
+            'name' => $user->name(),
+            'id' => $user->id(),
+            'title' => $user->title(),
+            'email' => $user->email(),
+            'avatar' => $user->avatar(),
+            'initials' => $user->initials(),
+            'can_force_unlock' => static::canForceUnlock($user),
+        ];
+    }
 }
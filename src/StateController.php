@@ -4,16 +4,28 @@ namespace Statamic\Collaboration;
 
 use Illuminate\Http\Request;
 use Illuminate\Routing\Controller;
-use Illuminate\Support\Facades\Auth;
 use Illuminate\Support\Facades\Cache;
 
 class StateController extends Controller
 {
+    use AuthorizesCollaborators, LocksCache;
+
     /**
      * Cache TTL in seconds (24 hours - states expire after no activity)
      */
     protected int $ttl = 44000;
 
+    /**
+     * The fields changed by the current update, keyed by handle, recorded in the
+     * session activity once the state lock is released
+     */
+    protected array $changed = [];
+
+    /**
+     * The user making the current update, as attributed to changes
+     */
+    protected ?array $user = null;
+
     /**
      * Get the cached state for an entry.
      */
@@ -24,33 +36,51 @@ class StateController extends Controller
         }
 
         $key = $this->cacheKey($reference, $site);
+        $activity = (new ActivityLog($reference, $site))->all();
 
         $state = Cache::get($key);
+        $revision = $this->currentRevision($key);
 
         if (!$state) {
             \Log::debug('Collaboration: No cached state found', ['key' => $key]);
             return response()->json([
                 'exists' => false,
+                'revision' => $revision,
                 'values' => null,
                 'meta' => null,
+                'fields' => null,
+                'changes' => null,
+                'activity' => $activity,
             ]);
         }
 
         \Log::debug('Collaboration: Returning cached state', [
             'key' => $key,
+            'revision' => $revision,
             'values_keys' => array_keys($state['values'] ?? []),
             'meta_keys' => array_keys($state['meta'] ?? []),
         ]);
 
         return response()->json([
             'exists' => true,
+            'revision' => $revision,
             'values' => $state['values'] ?? [],
             'meta' => $state['meta'] ?? [],
+            'fields' => $state['fields'] ?? ['values' => [], 'meta' => []],
+            'changes' => $state['changes'] ?? [],
+            'activity' => $activity,
         ]);
     }
 
     /**
      * Update the cached state for an entry.
+     *
+     * Updates carrying a base_revision that doesn't match the current revision are
+     * rejected with a 409, so the client can rebase its changes and retry.
+     *
+     * Changed fields are recorded in the session activity, attributed to the window
+     * that changed them (window_id, or per field in windows when persisted for others).
+     * The activity itself is only returned by show(), which windows fetch on sync.
      */
     public function update(Request $request, string $reference, string $site)
     {
@@ -59,52 +89,129 @@ class StateController extends Controller
         }
 
         $key = $this->cacheKey($reference, $site);
+        $this->user = $this->userSummary();
 
-        // Handle full state update (all values and meta at once)
-        if ($request->boolean('full')) {
-            // Use json() to get the raw JSON data (handles large nested arrays better)
-            $json = $request->json()->all();
-            $state = [
-                'values' => $json['values'] ?? [],
-                'meta' => $json['meta'] ?? [],
-            ];
+        $response = $this->withLock($key, function () use ($request, $key) {
+            $revision = $this->currentRevision($key);
 
-            \Log::debug('Collaboration: Saving full state', [
-                'key' => $key,
-                'values_keys' => array_keys($state['values']),
-                'meta_keys' => array_keys($state['meta']),
+            if ($request->has('base_revision') && (int) $request->input('base_revision') !== $revision) {
+                \Log::debug('Collaboration: Rejecting stale state update', [
+                    'key' => $key,
+                    'revision' => $revision,
+                    'base_revision' => $request->input('base_revision'),
+                ]);
+
+                return response()->json([
+                    'success' => false,
+                    'conflict' => true,
+                    'revision' => $revision,
+                ], 409);
+            }
+
+            $revision++;
+
+            // Handle full state update (all values and meta at once)
+            if ($request->boolean('full')) {
+                // Use json() to get the raw JSON data (handles large nested arrays better)
+                $json = $request->json()->all();
+                $existing = Cache::get($key, ['values' => [], 'meta' => []]);
+                $state = [
+                    'values' => $json['values'] ?? [],
+                    'meta' => $json['meta'] ?? [],
+                    'fields' => $existing['fields'] ?? ['values' => [], 'meta' => []],
+                    'changes' => $existing['changes'] ?? [],
+                ];
+
+                // Only fields that actually differ count as changed in this revision
+                foreach (['values', 'meta'] as $type) {
+                    foreach ($state[$type] as $handle => $value) {
+                        if (($existing[$type][$handle] ?? null) !== $value) {
+                            $state['fields'][$type][$handle] = $revision;
+                            $this->recordChange($state, $handle, $request);
+                        }
+                    }
+                }
+
+                \Log::debug('Collaboration: Saving full state', [
+                    'key' => $key,
+                    'revision' => $revision,
+                    'values_keys' => array_keys($state['values']),
+                    'meta_keys' => array_keys($state['meta']),
+                ]);
+
+                $this->storeState($key, $state, $revision);
+                return response()->json(['success' => true, 'revision' => $revision]);
+            }
+
+            // Handle field patch (only the fields changed since the client's last persist)
+            if ($request->boolean('patch')) {
+                $json = $request->json()->all();
+                $state = Cache::get($key, ['values' => [], 'meta' => []]);
+
+                foreach ($json['values'] ?? [] as $handle => $value) {
+                    $state['values'][$handle] = $value;
+                    $state['fields']['values'][$handle] = $revision;
+                    $this->recordChange($state, $handle, $request);
+                }
+
+                foreach ($json['meta'] ?? [] as $handle => $meta) {
+                    $state['meta'][$handle] = $meta;
+                    $state['fields']['meta'][$handle] = $revision;
+                    $this->recordChange($state, $handle, $request);
+                }
+
+                \Log::debug('Collaboration: Merging state patch', [
+                    'key' => $key,
+                    'revision' => $revision,
+                    'values_keys' => array_keys($json['values'] ?? []),
+                    'meta_keys' => array_keys($json['meta'] ?? []),
+                ]);
+
+                $this->storeState($key, $state, $revision);
+                return response()->json(['success' => true, 'revision' => $revision]);
+            }
+
+            // Handle single field update (legacy)
+            $validated = $request->validate([
+                'handle' => 'required|string',
+                'value' => 'present',
+                'type' => 'required|in:value,meta',
             ]);
 
-            Cache::put($key, $state, $this->ttl);
-            return response()->json(['success' => true]);
-        }
+            $state = Cache::get($key, ['values' => [], 'meta' => []]);
 
-        // Handle single field update (legacy)
-        $validated = $request->validate([
-            'handle' => 'required|string',
-            'value' => 'present',
-            'type' => 'required|in:value,meta',
-        ]);
+            if ($validated['type'] === 'value') {
+                $state['values'][$validated['handle']] = $validated['value'];
+                $state['fields']['values'][$validated['handle']] = $revision;
+                $this->recordChange($state, $validated['handle'], $request);
+            } else {
+                // For meta, use array_replace_recursive to deep merge nested structures
+                // This preserves image URLs, cached data, and other nested properties
+                $existingMeta = $state['meta'][$validated['handle']] ?? [];
+                $newMeta = $validated['value'] ?? [];
+                $state['meta'][$validated['handle']] = array_replace_recursive($existingMeta, $newMeta);
+                $state['fields']['meta'][$validated['handle']] = $revision;
+                $this->recordChange($state, $validated['handle'], $request);
+            }
 
-        $state = Cache::get($key, ['values' => [], 'meta' => []]);
+            $this->storeState($key, $state, $revision);
 
-        if ($validated['type'] === 'value') {
-            $state['values'][$validated['handle']] = $validated['value'];
-        } else {
-            // For meta, use array_replace_recursive to deep merge nested structures
-            // This preserves image URLs, cached data, and other nested properties
-            $existingMeta = $state['meta'][$validated['handle']] ?? [];
-            $newMeta = $validated['value'] ?? [];
-            $state['meta'][$validated['handle']] = array_replace_recursive($existingMeta, $newMeta);
-        }
+            return response()->json(['success' => true, 'revision' => $revision]);
+        });
 
-        Cache::put($key, $state, $this->ttl);
+        if ($this->changed) {
+            (new ActivityLog($reference, $site))->recordMany('changed', array_values($this->changed));
+        }
 
-        return response()->json(['success' => true]);
+        return $response;
     }
 
     /**
      * Clear the cached state for an entry (called on save/publish).
+     *
+     * When field handles are given, only those fields are cleared (e.g. a draft
+     * that was partly discarded), and the rest of the state is kept. Otherwise the
+     * entry was saved, which is recorded in the session activity.
      */
     public function destroy(Request $request, string $reference, string $site)
     {
@@ -113,26 +220,100 @@ class StateController extends Controller
         }
 
         $key = $this->cacheKey($reference, $site);
+        $handles = $request->input('fields');
+
+        if (!is_array($handles)) {
+            (new ActivityLog($reference, $site))->record('saved', [
+                'id' => $request->input('activity_id'),
+                'user' => $this->userSummary(),
+                'window' => $request->input('window_id'),
+            ]);
+        }
+
+        // Bump the revision so windows still based on the cleared state have to rebase
+        $revision = $this->withLock($key, function () use ($key, $handles) {
+            $revision = $this->currentRevision($key) + 1;
+            $state = is_array($handles) ? Cache::get($key) : null;
+
+            if (!$state) {
+                Cache::forget($key);
+                Cache::put("{$key}.revision", $revision, $this->ttl);
+
+                return $revision;
+            }
+
+            foreach ($handles as $handle) {
+                unset(
+                    $state['values'][$handle],
+                    $state['meta'][$handle],
+                    $state['fields']['values'][$handle],
+                    $state['fields']['meta'][$handle],
+                    $state['changes'][$handle],
+                );
+            }
+
+            \Log::debug('Collaboration: Clearing fields from state', [
+                'key' => $key,
+                'revision' => $revision,
+                'handles' => $handles,
+            ]);
+
+            $this->storeState($key, $state, $revision);
 
-        Cache::forget($key);
+            return $revision;
+        });
 
-        return response()->json(['success' => true]);
+        return response()->json(['success' => true, 'revision' => $revision]);
     }
 
     /**
-     * Check if the current user has access.
+     * Remember who changed a field and when, to tell editors about unsaved drafts,
+     * and collect the change for the session activity.
      */
-    protected function userCanEditEntry(string $reference): bool
+    protected function recordChange(array &$state, string $handle, Request $request): void
     {
-        // Get user from the CP guard
-        $guard = config('statamic.users.guards.cp', 'web');
-        $authUser = Auth::guard($guard)->user();
+        $window = $request->input("windows.{$handle}", $request->input('window_id'));
 
-        if (!$authUser) {
-            return false;
-        }
+        $state['changes'][$handle] = [
+            'user' => $this->user,
+            'window' => $window,
+            'at' => now()->timestamp,
+        ];
 
-        return true;
+        $this->changed[$handle] = [
+            'user' => $this->user,
+            'window' => $window,
+            'handle' => $handle,
+        ];
+    }
+
+    /**
+     * Get the id and name of the current user, as attributed to changes.
+     */
+    protected function userSummary(): ?array
+    {
+        $user = $this->currentUser();
+
+        return $user ? ['id' => $user->id(), 'name' => $user->name()] : null;
+    }
+
+    /**
+     * Get the current revision of the entry state.
+     *
+     * The revision is kept under its own key so it keeps increasing when the state is cleared.
+     */
+    protected function currentRevision(string $key): int
+    {
+        return (int) Cache::get("{$key}.revision", 0);
+    }
+
+    /**
+     * Store the entry state along with its new revision.
+     */
+    protected function storeState(string $key, array $state, int $revision): void
+    {
+        Cache::put($key, $state, $this->ttl);
+        Cache::put("{$key}.revision", $revision, $this->ttl);
     }
 
     /**